@@ -6,8 +6,19 @@
  * - 유사도 상세 정보 렌더링
  * - 전처리 비교 결과 표시
  * - STT 메트릭 시각화
+ * - 파싱 진단 리포트 표시
  */
 
+// innerHTML에 넣을 텍스트 이스케이프 (업로드 파일, 가져온 사전 등 외부 값은 항상 거쳐서 넣음)
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // STT 메트릭 이름을 사용자 친화적인 이름으로 변환
 function getSTTMethodDisplayName(method) {
     const nameMap = {
@@ -18,21 +29,96 @@ function getSTTMethodDisplayName(method) {
         'phonetic': 'STT Korean Phonetic',
         'stt_jaro_winkler': 'STT Jaro-Winkler',
         'stt_levenshtein': 'STT Levenshtein',
-        'stt_phonetic': 'STT Korean Phonetic'
+        'stt_phonetic': 'STT Korean Phonetic',
+        'stt_pronunciation': 'STT Pronunciation',
+        'stt_jaro_winkler_jamo': 'STT Jaro-Winkler (자모)',
+        'stt_levenshtein_jamo': 'STT Levenshtein (자모)',
+        'stt_bigram_dice': 'STT Bigram Dice',
+        'stt_trigram_dice': 'STT Trigram Dice',
+        'stt_token_set': 'STT Token Set',
+        'stt_lcs_ratio': 'STT LCS Ratio',
+        'stt_spaced': 'STT 띄어쓰기 유지',
+        'stt_unspaced': 'STT 띄어쓰기 무시'
     };
     return nameMap[method] || method;
 }
 
+// 정규화 키로 병합된 후보의 원문 표기 변형 목록 HTML 생성 (변형이 하나뿐이면 표시하지 않음)
+function generateVariantsHTML(candidate) {
+    const variants = candidate.variants || [];
+    if (variants.length <= 1) return '';
+
+    const variantsHTML = variants
+        .map(variant => `<span class="candidate-variant">"${escapeHTML(variant.text)}" ${variant.frequency}회</span>`)
+        .join(' ');
+    return `<br>표기 변형: ${variantsHTML}`;
+}
+
+// 원본판정 표시 HTML 생성 (로그별 판정이 섞인 후보는 mixed와 통과 비율 표시)
+function generateOriginJudgeHTML(candidate) {
+    const originJudge = String(candidate.origin_judge);
+    const judgeClass = originJudge === 'true' ? 'similarity-high' : originJudge === 'mixed' ? 'similarity-medium' : 'similarity-low';
+    const logs = candidate.logs || [];
+    const passCount = logs.filter(log => log.pass).length;
+    const ratioText = logs.length > 1 ? ` (통과 ${passCount}/${logs.length})` : '';
+    return `<span class="${judgeClass}">${originJudge}</span>${ratioText}`;
+}
+
+// 문장 후보에서 키워드 스포팅 구간 강조 (구간 위치가 현재 텍스트와 맞지 않으면 같은 글자를 다시 찾음)
+function generateKeywordHighlightHTML(text, span) {
+    if (!span || !span.text) return escapeHTML(text);
+
+    const start = text.slice(span.start, span.end) === span.text ? span.start : text.indexOf(span.text);
+    if (start === -1) return escapeHTML(text);
+    const end = start + span.text.length;
+
+    const title = span.exact ? '키워드 일치' : `키워드 유사 구간 (점수 ${span.score})`;
+    return `${escapeHTML(text.slice(0, start))}<mark class="keyword-span${span.exact ? '' : ' fuzzy'}" title="${title}">${escapeHTML(text.slice(start, end))}</mark>${escapeHTML(text.slice(end))}`;
+}
+
+// 로그별 판정 기록 HTML 생성 (상세보기 영역용)
+function generateCandidateLogsHTML(candidate) {
+    const logs = candidate.logs || [];
+    if (logs.length === 0) return '';
+
+    const rowsHTML = logs.map(log => `
+        <tr>
+            <td style="padding: 2px 8px;">${escapeHTML(log.log_id)}</td>
+            <td style="padding: 2px 8px;">${escapeHTML(log.user_id)}</td>
+            <td style="padding: 2px 8px;">${escapeHTML(log.version)}</td>
+            <td style="padding: 2px 8px;" class="${log.pass ? 'similarity-high' : 'similarity-low'}">${log.pass ? 'PASS' : 'FAIL'}</td>
+            <td style="padding: 2px 8px; color: #aaa;">${escapeHTML(log.fail_reason)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <strong>로그별 판정:</strong>
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.8rem; margin: 5px 0 10px;">
+            <thead>
+                <tr style="color: #4fc3f7; text-align: left;">
+                    <th style="padding: 2px 8px;">로그 ID</th>
+                    <th style="padding: 2px 8px;">사용자 ID</th>
+                    <th style="padding: 2px 8px;">버전</th>
+                    <th style="padding: 2px 8px;">판정</th>
+                    <th style="padding: 2px 8px;">실패 사유</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
 /**
  * 단어 분석 결과 표시 함수
  * @param {Array} analysisResults - 분석 결과 배열
  * @param {Object} approvalStatus - 승인/거절 상태 객체
+ * @param {string} containerId - 결과를 렌더링할 컨테이너 ID (기본: 'results')
  */
-function displayWordResults(analysisResults, approvalStatus) {
+function displayWordResults(analysisResults, approvalStatus, containerId = 'results') {
     document.getElementById('loading').style.display = 'none';
     document.getElementById('resultsSection').style.display = 'block';
 
-    const resultsContainer = document.getElementById('results');
+    const resultsContainer = document.getElementById(containerId);
     resultsContainer.innerHTML = '';
 
     analysisResults.forEach(result => {
@@ -95,6 +181,15 @@ function displayWordResults(analysisResults, approvalStatus) {
                 if (method === 'stt_jaro_winkler') displayName = 'STT Jaro-Winkler';
                 else if (method === 'stt_levenshtein') displayName = 'STT Levenshtein';
                 else if (method === 'stt_phonetic') displayName = 'STT Korean Phonetic';
+                else if (method === 'stt_pronunciation') displayName = 'STT Pronunciation';
+                else if (method === 'stt_jaro_winkler_jamo') displayName = 'STT Jaro-Winkler (자모)';
+                else if (method === 'stt_levenshtein_jamo') displayName = 'STT Levenshtein (자모)';
+                else if (method === 'stt_bigram_dice') displayName = 'STT Bigram Dice';
+                else if (method === 'stt_trigram_dice') displayName = 'STT Trigram Dice';
+                else if (method === 'stt_token_set') displayName = 'STT Token Set';
+                else if (method === 'stt_lcs_ratio') displayName = 'STT LCS Ratio';
+                else if (method === 'stt_spaced') displayName = 'STT 띄어쓰기 유지';
+                else if (method === 'stt_unspaced') displayName = 'STT 띄어쓰기 무시';
                 else if (method === 'stt_ensemble') displayName = 'STT Ensemble ⭐';
 
                 return `<span class="${className}">${displayName}: ${value}</span>`;
@@ -113,9 +208,11 @@ function displayWordResults(analysisResults, approvalStatus) {
                             <button class="similarity-toggle" onclick="toggleSimilarityDetails('${candidateId}')">상세보기</button>
                             <br>
                             출현횟수: ${candidate.frequency}회 |
-                            원본판정: <span class="${candidate.origin_judge === 'true' ? 'similarity-high' : 'similarity-low'}">${candidate.origin_judge}</span>
+                            원본판정: ${generateOriginJudgeHTML(candidate)}
+                            ${generateVariantsHTML(candidate)}
                         </div>
                         <div class="similarity-details" id="similarity_${candidateId}" style="display: none;">
+                            ${generateCandidateLogsHTML(candidate)}
                             <strong>모든 유사도 계산 결과:</strong><br>
                             ${similarityDetailsHTML}
                             <br><br>
@@ -153,12 +250,13 @@ function displayWordResults(analysisResults, approvalStatus) {
  * 문장 분석 결과 표시 함수
  * @param {Array} analysisResults - 분석 결과 배열
  * @param {Object} approvalStatus - 승인/거절 상태 객체
+ * @param {string} containerId - 결과를 렌더링할 컨테이너 ID (기본: 'results')
  */
-function displaySentenceResults(analysisResults, approvalStatus) {
+function displaySentenceResults(analysisResults, approvalStatus, containerId = 'results') {
     document.getElementById('loading').style.display = 'none';
     document.getElementById('resultsSection').style.display = 'block';
 
-    const resultsContainer = document.getElementById('results');
+    const resultsContainer = document.getElementById(containerId);
     resultsContainer.innerHTML = '';
 
     analysisResults.forEach(result => {
@@ -270,6 +368,20 @@ function displaySentenceResults(analysisResults, approvalStatus) {
                     componentData.push({ label: '길이 페널티', value: `${score}%`, status });
                 }
 
+                // 문자/단어 오류율 (낮을수록 좋음)
+                const errorRates = sentenceAnalysis.errorRates || {};
+                if (sentenceComponents.cer !== undefined) {
+                    const status = sentenceComponents.cer <= 0.1 ? 'good' : sentenceComponents.cer <= 0.3 ? 'medium' : 'poor';
+                    const counts = errorRates.cer ? ` (S${errorRates.cer.substitutions} / I${errorRates.cer.insertions} / D${errorRates.cer.deletions})` : '';
+                    componentData.push({ label: 'CER (문자 오류율)', value: `${(sentenceComponents.cer * 100).toFixed(1)}%${counts}`, status });
+                }
+
+                if (sentenceComponents.wer !== undefined) {
+                    const status = sentenceComponents.wer <= 0.2 ? 'good' : sentenceComponents.wer <= 0.5 ? 'medium' : 'poor';
+                    const counts = errorRates.wer ? ` (S${errorRates.wer.substitutions} / I${errorRates.wer.insertions} / D${errorRates.wer.deletions})` : '';
+                    componentData.push({ label: 'WER (단어 오류율)', value: `${(sentenceComponents.wer * 100).toFixed(1)}%${counts}`, status });
+                }
+
                 const getStatusColor = (status) => {
                     switch(status) {
                         case 'good': return '#4caf50';
@@ -303,6 +415,8 @@ function displaySentenceResults(analysisResults, approvalStatus) {
                                 </div>
                             </div>
                         ` : ''}
+                        ${generateErrorRateAlignmentHTML(errorRates.cer, '음절 정렬')}
+                        ${generateErrorRateAlignmentHTML(errorRates.wer, '어절 정렬')}
                     </div>
                 `;
             };
@@ -331,6 +445,15 @@ function displaySentenceResults(analysisResults, approvalStatus) {
                     if (method === 'stt_jaro_winkler') displayName = 'STT Jaro-Winkler';
                     else if (method === 'stt_levenshtein') displayName = 'STT Levenshtein';
                     else if (method === 'stt_phonetic') displayName = 'STT Korean Phonetic';
+                    else if (method === 'stt_pronunciation') displayName = 'STT Pronunciation';
+                    else if (method === 'stt_jaro_winkler_jamo') displayName = 'STT Jaro-Winkler (자모)';
+                    else if (method === 'stt_levenshtein_jamo') displayName = 'STT Levenshtein (자모)';
+                    else if (method === 'stt_bigram_dice') displayName = 'STT Bigram Dice';
+                    else if (method === 'stt_trigram_dice') displayName = 'STT Trigram Dice';
+                    else if (method === 'stt_token_set') displayName = 'STT Token Set';
+                    else if (method === 'stt_lcs_ratio') displayName = 'STT LCS Ratio';
+                    else if (method === 'stt_spaced') displayName = 'STT 띄어쓰기 유지';
+                    else if (method === 'stt_unspaced') displayName = 'STT 띄어쓰기 무시';
                     else if (method === 'stt_ensemble') displayName = 'STT Ensemble ⭐';
 
                     return `<span class="${className}">${displayName}: ${value}</span>`;
@@ -342,11 +465,11 @@ function displaySentenceResults(analysisResults, approvalStatus) {
             return `
                 <div class="candidate-item ${status}" id="candidate_${candidateId}">
                     <div class="candidate-info">
-                        <div class="candidate-word" style="font-size: 0.95rem; line-height: 1.4;">${candidate.candidate_word}</div>
+                        <div class="candidate-word" style="font-size: 0.95rem; line-height: 1.4;">${candidate.keyword_included ? generateKeywordHighlightHTML(candidate.candidate_word, sentenceAnalysis.keywordSpan) : candidate.candidate_word}</div>
                         <div class="candidate-stats">
                             Log ID: [${candidate.log_id.join(', ')}] |
                             키워드: <strong>${candidate.keyword}</strong> |
-                            키워드 포함: <span class="${keywordClass}">${candidate.keyword_included ? 'YES' : 'NO'}</span>
+                            키워드 포함: <span class="${keywordClass}">${candidate.keyword_included ? 'YES' : 'NO'}</span>${candidate.keyword_included && sentenceAnalysis.keywordSpan && !sentenceAnalysis.keywordSpan.exact ? ` (유사 구간 "${sentenceAnalysis.keywordSpan.text}", ${sentenceAnalysis.keywordSpan.score})` : ''}
                             <br>
                             주요 유사도: 
                             <span class="${similarityClass}">${nonSTTAnalysis && nonSTTAnalysis.highest ? `${candidate.similarity} (${nonSTTAnalysis.highest.method})` : candidate.similarity}</span>
@@ -355,9 +478,11 @@ function displaySentenceResults(analysisResults, approvalStatus) {
                             <button class="similarity-toggle" onclick="toggleSimilarityDetails('${candidateId}')">상세보기</button>
                             <br>
                             출현횟수: ${candidate.frequency}회 |
-                            원본판정: <span class="${candidate.origin_judge === 'true' ? 'similarity-high' : 'similarity-low'}">${candidate.origin_judge}</span>
+                            원본판정: ${generateOriginJudgeHTML(candidate)}
+                            ${generateVariantsHTML(candidate)}
                         </div>
                         <div class="similarity-details" id="similarity_${candidateId}" style="display: none;">
+                            ${generateCandidateLogsHTML(candidate)}
                             ${hasSentenceEnhanced ? `
                                 <strong style="color: #4fc3f7;">🎯 문장 특화 유사도: ${similarities.sentence_enhanced.toFixed(3)}</strong><br>
                                 <span style="color: #888; font-size: 0.85rem;">기존 방식 대비 향상된 문장 분석 결과입니다.</span>
@@ -397,6 +522,70 @@ function displaySentenceResults(analysisResults, approvalStatus) {
     });
 }
 
+// 자모 정렬 경로 HTML 생성 (위: 정답 자모, 아래: 후보 자모, 연산별 색상 구분)
+function generatePhoneticAlignmentHTML(alignment) {
+    if (!alignment || !alignment.path || alignment.path.length === 0) return '';
+
+    const opLabels = { match: '일치', sub: '치환', ins: '삽입', del: '삭제' };
+    const showJamo = (jamo) => jamo === null ? '·' : /\s/.test(jamo) ? '␣' : escapeHTML(jamo);
+    const cellsHTML = alignment.path.map(step => `
+        <span class="alignment-cell ${step.op}" title="${opLabels[step.op]} (비용 ${step.cost})">
+            <span>${showJamo(step.a)}</span>
+            <span>${showJamo(step.b)}</span>
+        </span>
+    `).join('');
+
+    return `
+        <div class="phonetic-alignment">
+            <span style="color: #aaa;">자모 정렬 (거리 ${alignment.distance}, 유사도 ${alignment.similarity})</span>
+            <div class="alignment-row">${cellsHTML}</div>
+        </div>
+    `;
+}
+
+// 오류율 정렬 HTML 생성 (위: 정답, 아래: 후보, title: '음절 정렬'(CER) 또는 '어절 정렬'(WER))
+function generateErrorRateAlignmentHTML(errorRate, title = '어절 정렬') {
+    if (!errorRate || !errorRate.alignment || errorRate.alignment.length === 0) return '';
+
+    const opLabels = { match: '일치', sub: '치환', ins: '삽입', del: '삭제' };
+    const showWord = (word) => word === null ? '·' : escapeHTML(word);
+    const cellsHTML = errorRate.alignment.map(step => `
+        <span class="alignment-cell ${step.op}" title="${opLabels[step.op]}">
+            <span>${showWord(step.ref)}</span>
+            <span>${showWord(step.hyp)}</span>
+        </span>
+    `).join('');
+
+    return `
+        <div style="margin-top: 8px; font-size: 0.8rem;">
+            <span style="color: #aaa;">${title} (위: 정답, 아래: 후보 · 치환 ${errorRate.substitutions} / 삽입 ${errorRate.insertions} / 삭제 ${errorRate.deletions})</span>
+            <div class="alignment-row">${cellsHTML}</div>
+        </div>
+    `;
+}
+
+// 전처리 추적 HTML 생성 (규칙마다 적용 직전 텍스트에서 바뀐 부분을 삭제/추가로 강조)
+function generatePreprocessingTraceHTML(title, trace) {
+    if (!trace || trace.length === 0) return '';
+
+    const rowsHTML = trace.map(entry => {
+        const [start, end] = entry.span;
+        return `
+            <div class="trace-row">
+                <span class="trace-rule">${escapeHTML(entry.rule)}</span>
+                <span class="trace-text">${escapeHTML(entry.input.slice(0, start))}<del>${escapeHTML(entry.before)}</del><ins>${escapeHTML(entry.after)}</ins>${escapeHTML(entry.input.slice(end))}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="preprocessing-trace">
+            <span style="color: #aaa;">${title}</span>
+            ${rowsHTML}
+        </div>
+    `;
+}
+
 /**
  * 전처리 비교 결과 HTML 생성 함수
  * @param {Object} candidate - 후보 데이터
@@ -408,22 +597,21 @@ function generatePreprocessingComparisonHTML(candidate, candidateId) {
         return '';
     }
 
-    const stageNames = {
-        'original': '원본',
-        'step13': '1-3단계',
-        'step14': '1-4단계',
-    };
+    // 단계 이름은 전처리 단계 레지스트리(preprocessing.js)에서 가져옴
+    const getStageName = (stage) => typeof TextPreprocessor !== 'undefined'
+        ? TextPreprocessor.getPreprocessingStageLabel(stage)
+        : stage;
 
     return `
         <div style="margin-top: 15px; padding: 10px; background: #333; border-radius: 5px;">
             <strong>전처리 비교 결과:</strong><br>
             ${Object.keys(candidate.preprocessingComparison).map(stage => {
                 const comparison = candidate.preprocessingComparison[stage];
-                const stageName = stageNames[stage] || stage;
+                const stageName = getStageName(stage);
                 const isBest = candidate.bestPreprocessingMethod === stage;
 
                 // 각 단계별 주요 유사도만 표시 (코사인 + STT Ensemble)
-                let stageMetrics = `<span class="similarity-method${isBest ? ' best' : ''}">${stageName}: ${comparison.similarity.toFixed(3)}</span>`;
+                let stageMetrics = `<span class="similarity-method${isBest ? ' best' : ''}">${stageName}: ${comparison.similarity.toFixed(3)}${isBest ? ' ★최고' : ''}</span>`;
 
                 // STT Ensemble 점수가 있다면 추가 표시
                 if (comparison.similarities && comparison.similarities.stt_ensemble) {
@@ -446,24 +634,223 @@ function generatePreprocessingComparisonHTML(candidate, candidateId) {
                                         if (method === 'stt_jaro_winkler') displayName = 'Jaro-Winkler';
                                         else if (method === 'stt_levenshtein') displayName = 'Levenshtein';
                                         else if (method === 'stt_phonetic') displayName = 'Korean Phonetic';
+                                        else if (method === 'stt_pronunciation') displayName = 'Pronunciation';
+                                        else if (method === 'stt_jaro_winkler_jamo') displayName = 'Jaro-Winkler (자모)';
+                                        else if (method === 'stt_levenshtein_jamo') displayName = 'Levenshtein (자모)';
+                                        else if (method === 'stt_bigram_dice') displayName = 'Bigram Dice';
+                                        else if (method === 'stt_trigram_dice') displayName = 'Trigram Dice';
+                                        else if (method === 'stt_token_set') displayName = 'Token Set';
+                                        else if (method === 'stt_lcs_ratio') displayName = 'LCS Ratio';
+                                        else if (method === 'stt_spaced') displayName = '띄어쓰기 유지';
+                                        else if (method === 'stt_unspaced') displayName = '띄어쓰기 무시';
                                         else if (method === 'stt_ensemble') displayName = 'Ensemble ⭐';
                                         return `<span class="stt-metric" >${displayName}: ${value}</span>`;
                                     }).join(' ')}
+                                    ${generatePhoneticAlignmentHTML(comparison.phoneticAlignment)}
                                 </div>
                             </div>
                         ` : ''}
+                        ${(comparison.expectedTrace || []).length + (comparison.candidateTrace || []).length > 0 ? `
+                            <details style="margin-left: 10px; margin-top: 3px; font-size: 0.8rem;">
+                                <summary style="cursor: pointer; color: #aaa;">전처리 추적 (${(comparison.expectedTrace || []).length + (comparison.candidateTrace || []).length}건)</summary>
+                                ${generatePreprocessingTraceHTML('정답', comparison.expectedTrace)}
+                                ${generatePreprocessingTraceHTML('후보', comparison.candidateTrace)}
+                            </details>
+                        ` : ''}
                     </div>
                 `;
             }).join('')}
             ${candidate.bestPreprocessingMethod ? `
                 <span style="color: #4fc3f7; font-weight: bold; margin-top: 5px; display: block;">
-                    최적 방법: ${stageNames[candidate.bestPreprocessingMethod] || candidate.bestPreprocessingMethod}
+                    최적 방법: ${getStageName(candidate.bestPreprocessingMethod)}
                 </span>
             ` : ''}
         </div>
     `;
 }
 
+/**
+ * 단어/문장 혼합 분석 결과 표시 함수
+ * 결과의 data_type에 따라 단어/문장 섹션을 나란히 렌더링합니다.
+ * 한 가지 타입만 있으면 기존과 같이 전체 너비로 표시합니다.
+ * @param {Array} analysisResults - 분석 결과 배열 (각 항목에 data_type 포함)
+ * @param {Object} approvalStatus - 승인/거절 상태 객체
+ */
+function displayMixedResults(analysisResults, approvalStatus) {
+    const wordResults = analysisResults.filter(result => result.data_type !== 'sentence');
+    const sentenceResults = analysisResults.filter(result => result.data_type === 'sentence');
+
+    if (sentenceResults.length === 0) {
+        displayWordResults(wordResults, approvalStatus);
+        return;
+    }
+    if (wordResults.length === 0) {
+        displaySentenceResults(sentenceResults, approvalStatus);
+        return;
+    }
+
+    document.getElementById('results').innerHTML = `
+        <div class="results-columns">
+            <div class="results-column">
+                <h2 class="results-column-title">📝 단어 (${wordResults.length}개 그룹)</h2>
+                <div id="wordResults"></div>
+            </div>
+            <div class="results-column">
+                <h2 class="results-column-title">💬 문장 (${sentenceResults.length}개 그룹)</h2>
+                <div id="sentenceResults"></div>
+            </div>
+        </div>
+    `;
+
+    displayWordResults(wordResults, approvalStatus, 'wordResults');
+    displaySentenceResults(sentenceResults, approvalStatus, 'sentenceResults');
+}
+
+/**
+ * 파싱 진단 리포트 패널 표시 함수 (임베딩 시작 전 표시)
+ * @param {Object} report - DataParser.getParseReport() 결과
+ */
+function displayParseReport(report) {
+    const panel = document.getElementById('parseReportPanel');
+    if (!panel) return;
+
+    if (!report || report.total_rows === 0) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+
+    const issues = report.issues || [];
+    const labels = (typeof DataParser !== 'undefined' && DataParser.PARSE_ISSUE_LABELS) || {};
+    const hasProblems = issues.some(issue => issue.reason !== 'empty' && issue.reason !== 'comment');
+    const borderColor = hasProblems ? '#ff9800' : '#4caf50';
+
+    const countsHTML = Object.keys(report.counts || {}).map(reason => `
+        <span class="similarity-method">${labels[reason] || reason}: ${report.counts[reason]}건</span>
+    `).join(' ');
+
+    // 대용량 파일은 제외 행이 많을 수 있으므로 앞부분만 표시 (전체는 엑셀 Parse_Errors 시트)
+    const MAX_ISSUE_ROWS = 500;
+    const rowsHTML = issues.slice(0, MAX_ISSUE_ROWS).map(issue => `
+        <tr>
+            <td style="padding: 4px 8px; color: #888; white-space: nowrap;">${issue.row_number}</td>
+            <td style="padding: 4px 8px; color: ${issue.reason === 'empty' || issue.reason === 'comment' ? '#888' : '#ff9800'}; white-space: nowrap;">${escapeHTML(issue.detail || issue.reason_label)}</td>
+            <td style="padding: 4px 8px; font-family: monospace; font-size: 0.8rem; word-break: break-all;">${escapeHTML(issue.raw_line)}</td>
+        </tr>
+    `).join('');
+
+    panel.innerHTML = `
+        <details ${hasProblems ? 'open' : ''} style="margin-top: 20px; padding: 12px; background: #2a2a2a; border-radius: 8px; border-left: 4px solid ${borderColor};">
+            <summary style="cursor: pointer; font-weight: 600; color: ${borderColor};">
+                📋 파싱 진단: 전체 ${report.total_rows}행 중 ${report.parsed_rows}행 파싱 (단어 ${report.type_counts.word}, 문장 ${report.type_counts.sentence}), ${issues.length}행 제외
+                (형식: ${report.format}${report.header_detected ? ', 헤더 감지됨' : ''})
+            </summary>
+            ${issues.length > 0 ? `
+                <div style="margin-top: 10px;">${countsHTML}</div>
+                <div style="margin-top: 10px; max-height: 300px; overflow-y: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                        <thead>
+                            <tr style="color: #4fc3f7; text-align: left;">
+                                <th style="padding: 4px 8px;">행</th>
+                                <th style="padding: 4px 8px;">사유</th>
+                                <th style="padding: 4px 8px;">원본 라인</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rowsHTML}</tbody>
+                    </table>
+                </div>
+                ${issues.length > MAX_ISSUE_ROWS ? `<div style="margin-top: 8px; color: #888;">외 ${issues.length - MAX_ISSUE_ROWS}건은 엑셀 내보내기의 Parse_Errors 시트에서 확인할 수 있습니다.</div>` : ''}
+            ` : '<div style="margin-top: 10px; color: #888;">제외된 행이 없습니다.</div>'}
+        </details>
+    `;
+    panel.style.display = 'block';
+}
+
+/**
+ * 전처리 방향 평가 패널 표시 함수 (정방향 vs 역방향, origin_judge 기준 통과/실패 분리도)
+ * @param {Object|null} report - TextPreprocessor.evaluateStageSeparation() 결과 (null이면 패널 숨김)
+ */
+function displayDirectionEvaluation(report) {
+    const panel = document.getElementById('directionEvaluationPanel');
+    if (!panel) return;
+
+    const dataTypes = report ? Object.keys(report.dataTypes) : [];
+    if (dataTypes.length === 0) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+
+    const typeNames = { word: '단어', sentence: '문장' };
+    const directionNames = { forward: '정방향', reverse: '역방향', none: '-' };
+    const format = (value) => value === null ? '-' : value.toFixed(3);
+
+    const sectionsHTML = dataTypes.map(dataType => {
+        const evaluation = report.dataTypes[dataType];
+        const { bestForward, bestReverse, winner } = evaluation;
+
+        let conclusion = '정방향과 역방향 단계를 모두 선택해야 비교할 수 있습니다.';
+        if (winner === 'tie') {
+            conclusion = `두 방향의 분리도가 같습니다. (${escapeHTML(bestForward.label)} ${format(bestForward.auc)} / ${escapeHTML(bestReverse.label)} ${format(bestReverse.auc)})`;
+        } else if (winner) {
+            const [better, worse] = winner === 'forward' ? [bestForward, bestReverse] : [bestReverse, bestForward];
+            conclusion = `${directionNames[winner]}(${escapeHTML(better.label)})이 통과/실패를 더 잘 구분합니다. (AUC ${format(better.auc)} vs ${format(worse.auc)})`;
+        } else if (bestForward || bestReverse) {
+            conclusion = '통과/실패 후보가 모두 있어야 분리도를 계산할 수 있습니다.';
+        }
+
+        const rowsHTML = evaluation.stages.map(stage => {
+            const isBest = stage === bestForward || stage === bestReverse;
+            return `
+                <tr style="${isBest ? 'color: #4fc3f7;' : ''}">
+                    <td style="padding: 4px 8px;">${escapeHTML(stage.label)}${isBest ? ' ★' : ''}</td>
+                    <td style="padding: 4px 8px;">${directionNames[stage.direction] || escapeHTML(stage.direction)}</td>
+                    <td style="padding: 4px 8px;">${format(stage.auc)}</td>
+                    <td style="padding: 4px 8px;">${format(stage.passMean)}</td>
+                    <td style="padding: 4px 8px;">${format(stage.failMean)}</td>
+                    <td style="padding: 4px 8px;">${format(stage.gap)}</td>
+                    <td style="padding: 4px 8px; color: #888;">${stage.count}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div style="margin-top: 12px;">
+                <strong>${typeNames[dataType]}</strong>
+                <span style="color: #888;">(통과 ${evaluation.passCount}개, 실패 ${evaluation.failCount}개, 혼합 판정 제외)</span>
+                <div style="margin: 5px 0; color: ${winner ? '#4caf50' : '#ff9800'};">${conclusion}</div>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="color: #aaa; text-align: left;">
+                            <th style="padding: 4px 8px;">단계</th>
+                            <th style="padding: 4px 8px;">방향</th>
+                            <th style="padding: 4px 8px;">AUC</th>
+                            <th style="padding: 4px 8px;">통과 평균</th>
+                            <th style="padding: 4px 8px;">실패 평균</th>
+                            <th style="padding: 4px 8px;">차이</th>
+                            <th style="padding: 4px 8px;">후보 수</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+        <details open style="margin-top: 20px; padding: 12px; background: #2a2a2a; border-radius: 8px; border-left: 4px solid #4fc3f7;">
+            <summary style="cursor: pointer; font-weight: 600; color: #4fc3f7;">
+                🧭 전처리 방향 평가 (기준 점수: ${report.metric === 'similarity' ? '코사인 유사도' : report.metric})
+            </summary>
+            <div style="color: #888; font-size: 0.8rem; margin-top: 8px;">
+                AUC는 임의의 통과 후보 점수가 실패 후보 점수보다 높을 확률입니다. (0.5는 구분 못 함, 1에 가까울수록 잘 구분)
+            </div>
+            ${sectionsHTML}
+        </details>
+    `;
+    panel.style.display = 'block';
+}
+
 /**
  * STT 상세 정보 토글 함수 (전처리 비교용)
  * @param {string} stageId - 단계 ID
@@ -480,7 +867,14 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         displayWordResults,
         displaySentenceResults,
+        displayMixedResults,
+        displayParseReport,
+        displayDirectionEvaluation,
+        escapeHTML,
         generatePreprocessingComparisonHTML,
+        generatePreprocessingTraceHTML,
+        generateKeywordHighlightHTML,
+        generateErrorRateAlignmentHTML,
         toggleStageSTTDetails
     };
 } else {
@@ -488,7 +882,14 @@ if (typeof module !== 'undefined' && module.exports) {
     window.DisplayResults = {
         displayWordResults,
         displaySentenceResults,
+        displayMixedResults,
+        displayParseReport,
+        displayDirectionEvaluation,
+        escapeHTML,
         generatePreprocessingComparisonHTML,
+        generatePreprocessingTraceHTML,
+        generateKeywordHighlightHTML,
+        generateErrorRateAlignmentHTML,
         toggleStageSTTDetails
     };
 }
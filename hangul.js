@@ -0,0 +1,262 @@
+/**
+ * 한글 자모 분해/조합 모듈 (hangul.js)
+ *
+ * 음절 단위가 아닌 자모 단위로 문자열을 비교하기 위한 공통 유틸리티:
+ * - 음절 → 초성/중성/종성 분해 및 조합
+ * - 복합 모음(ㅘ, ㅢ 등)과 겹받침(ㄳ, ㄺ 등)의 구성 자모 분리
+ * - 자모 문자열 ↔ 음절 문자열 변환
+ * - 위치 정보(원문 글자 인덱스, 초성/중성/종성 역할)가 포함된 자모 시퀀스
+ *
+ * 자모는 모두 호환용 자모(U+3131~U+3163)로 표현합니다.
+ */
+
+// 한글 음절 범위 (가 ~ 힣)
+const HANGUL_SYLLABLE_BASE = 0xAC00;
+const HANGUL_SYLLABLE_LAST = 0xD7A3;
+
+// 초성 19자
+const HANGUL_CHOSEONG = [
+    'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
+    'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+];
+
+// 중성 21자
+const HANGUL_JUNGSEONG = [
+    'ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ',
+    'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'
+];
+
+// 종성 27자 + 받침 없음('')
+const HANGUL_JONGSEONG = [
+    '', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ',
+    'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+];
+
+// 복합 모음 → 구성 모음
+const HANGUL_COMPOUND_VOWELS = {
+    'ㅘ': ['ㅗ', 'ㅏ'], 'ㅙ': ['ㅗ', 'ㅐ'], 'ㅚ': ['ㅗ', 'ㅣ'],
+    'ㅝ': ['ㅜ', 'ㅓ'], 'ㅞ': ['ㅜ', 'ㅔ'], 'ㅟ': ['ㅜ', 'ㅣ'],
+    'ㅢ': ['ㅡ', 'ㅣ']
+};
+
+// 겹받침 → 구성 자음
+const HANGUL_DOUBLE_FINALS = {
+    'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄶ': ['ㄴ', 'ㅎ'],
+    'ㄺ': ['ㄹ', 'ㄱ'], 'ㄻ': ['ㄹ', 'ㅁ'], 'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅅ'],
+    'ㄾ': ['ㄹ', 'ㅌ'], 'ㄿ': ['ㄹ', 'ㅍ'], 'ㅀ': ['ㄹ', 'ㅎ'], 'ㅄ': ['ㅂ', 'ㅅ']
+};
+
+// 구성 자모 쌍 → 복합 자모 (조합 시 사용)
+const HANGUL_COMBINED_VOWELS = Object.fromEntries(
+    Object.entries(HANGUL_COMPOUND_VOWELS).map(([compound, parts]) => [parts.join(''), compound])
+);
+const HANGUL_COMBINED_FINALS = Object.fromEntries(
+    Object.entries(HANGUL_DOUBLE_FINALS).map(([compound, parts]) => [parts.join(''), compound])
+);
+
+/**
+ * 한글 음절 여부 확인
+ * @param {string} ch - 문자 한 개
+ * @returns {boolean}
+ */
+function isHangulSyllable(ch) {
+    if (!ch) return false;
+    const code = ch.charCodeAt(0);
+    return code >= HANGUL_SYLLABLE_BASE && code <= HANGUL_SYLLABLE_LAST;
+}
+
+/**
+ * 자음(호환용 자모) 여부 확인 (겹받침 포함)
+ * @param {string} ch - 문자 한 개
+ * @returns {boolean}
+ */
+function isConsonantJamo(ch) {
+    return HANGUL_CHOSEONG.includes(ch) || (ch !== '' && HANGUL_JONGSEONG.includes(ch));
+}
+
+/**
+ * 모음(호환용 자모) 여부 확인 (복합 모음 포함)
+ * @param {string} ch - 문자 한 개
+ * @returns {boolean}
+ */
+function isVowelJamo(ch) {
+    return HANGUL_JUNGSEONG.includes(ch);
+}
+
+/**
+ * 음절 하나를 초성/중성/종성으로 분해
+ * @param {string} ch - 한글 음절 한 개
+ * @returns {Object|null} - { cho, jung, jong } (종성이 없으면 jong은 '') 또는 한글 음절이 아니면 null
+ */
+function decomposeSyllable(ch) {
+    if (!isHangulSyllable(ch)) return null;
+
+    const offset = ch.charCodeAt(0) - HANGUL_SYLLABLE_BASE;
+    return {
+        cho: HANGUL_CHOSEONG[Math.floor(offset / 588)],
+        jung: HANGUL_JUNGSEONG[Math.floor((offset % 588) / 28)],
+        jong: HANGUL_JONGSEONG[offset % 28]
+    };
+}
+
+/**
+ * 초성/중성/종성을 음절 하나로 조합
+ * @param {string} cho - 초성
+ * @param {string} jung - 중성
+ * @param {string} jong - 종성 (없으면 '')
+ * @returns {string|null} - 조합된 음절 또는 조합할 수 없으면 null
+ */
+function composeSyllable(cho, jung, jong = '') {
+    const choIndex = HANGUL_CHOSEONG.indexOf(cho);
+    const jungIndex = HANGUL_JUNGSEONG.indexOf(jung);
+    const jongIndex = HANGUL_JONGSEONG.indexOf(jong || '');
+    if (choIndex === -1 || jungIndex === -1 || jongIndex === -1) return null;
+
+    return String.fromCharCode(HANGUL_SYLLABLE_BASE + choIndex * 588 + jungIndex * 28 + jongIndex);
+}
+
+/**
+ * 복합 모음/겹받침을 구성 자모로 분리 (단일 자모는 그대로 반환)
+ * @param {string} jamo - 자모 한 개
+ * @returns {Array} - 구성 자모 배열
+ */
+function splitJamo(jamo) {
+    return HANGUL_COMPOUND_VOWELS[jamo] || HANGUL_DOUBLE_FINALS[jamo] || [jamo];
+}
+
+/**
+ * 위치 정보가 포함된 자모 시퀀스 생성
+ * 한글이 아닌 문자는 role 'other'로 그대로 포함됩니다.
+ * @param {string} text - 입력 텍스트
+ * @param {Object} options - { splitCompound: 복합 모음/겹받침을 구성 자모로 분리할지 여부 }
+ * @returns {Array} - [{ jamo, role: 'cho' | 'jung' | 'jong' | 'other', index: 원문 글자 인덱스 }]
+ */
+function toJamoSequence(text, options = {}) {
+    const { splitCompound = false } = options;
+    const sequence = [];
+    if (!text || typeof text !== 'string') return sequence;
+
+    for (let index = 0; index < text.length; index++) {
+        const ch = text[index];
+        const syllable = decomposeSyllable(ch);
+
+        if (!syllable) {
+            sequence.push({ jamo: ch, role: 'other', index });
+            continue;
+        }
+
+        ['cho', 'jung', 'jong'].forEach(role => {
+            if (!syllable[role]) return;
+            const parts = splitCompound ? splitJamo(syllable[role]) : [syllable[role]];
+            parts.forEach(jamo => sequence.push({ jamo, role, index }));
+        });
+    }
+
+    return sequence;
+}
+
+/**
+ * 텍스트를 자모 문자열로 분해 ("프로" → "ㅍㅡㄹㅗ")
+ * @param {string} text - 입력 텍스트
+ * @param {Object} options - { splitCompound: 복합 모음/겹받침 분리 여부 }
+ * @returns {string} - 자모 문자열 (한글이 아닌 문자는 그대로 유지)
+ */
+function decompose(text, options = {}) {
+    return toJamoSequence(text, options).map(unit => unit.jamo).join('');
+}
+
+/**
+ * 자모 문자열을 음절 문자열로 조합 ("ㅍㅡㄹㅗ" → "프로")
+ * 분리된 복합 모음/겹받침("ㅗㅏ", "ㄹㄱ")도 다시 합칩니다.
+ * @param {string} jamoText - 자모 문자열
+ * @returns {string} - 조합된 텍스트 (조합할 수 없는 자모는 그대로 유지)
+ */
+function compose(jamoText) {
+    if (!jamoText || typeof jamoText !== 'string') return '';
+
+    const chars = [...jamoText];
+    let result = '';
+    let i = 0;
+
+    while (i < chars.length) {
+        const cho = chars[i];
+        let jung = chars[i + 1];
+
+        // 초성 + 중성으로 시작하지 않으면 그대로 출력
+        if (!HANGUL_CHOSEONG.includes(cho) || !isVowelJamo(jung)) {
+            result += cho;
+            i++;
+            continue;
+        }
+
+        let next = i + 2;
+        // 분리된 복합 모음 결합
+        if (HANGUL_COMBINED_VOWELS[jung + chars[next]]) {
+            jung = HANGUL_COMBINED_VOWELS[jung + chars[next]];
+            next++;
+        }
+
+        // 종성 후보: 다음 자모가 자음이고, 그 뒤에 모음이 오지 않아야 받침 (모음이 오면 다음 음절의 초성)
+        let jong = '';
+        const isFinalAt = (pos) => chars[pos] !== undefined && chars[pos] !== '' &&
+            HANGUL_JONGSEONG.includes(chars[pos]) && !isVowelJamo(chars[pos + 1]);
+
+        if (isFinalAt(next)) {
+            jong = chars[next];
+            next++;
+            // 분리된 겹받침 결합 (뒤 자음 다음에 모음이 오면 다음 음절 초성으로 남김)
+            const combined = HANGUL_COMBINED_FINALS[jong + chars[next]];
+            if (combined && !isVowelJamo(chars[next + 1])) {
+                jong = combined;
+                next++;
+            }
+        }
+
+        result += composeSyllable(cho, jung, jong);
+        i = next;
+    }
+
+    return result;
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isHangulSyllable,
+        isConsonantJamo,
+        isVowelJamo,
+        decomposeSyllable,
+        composeSyllable,
+        splitJamo,
+        toJamoSequence,
+        decompose,
+        compose,
+
+        // 상수
+        HANGUL_CHOSEONG,
+        HANGUL_JUNGSEONG,
+        HANGUL_JONGSEONG,
+        HANGUL_COMPOUND_VOWELS,
+        HANGUL_DOUBLE_FINALS
+    };
+} else {
+    // Browser environment - expose as global object
+    window.HangulJamo = {
+        isHangulSyllable,
+        isConsonantJamo,
+        isVowelJamo,
+        decomposeSyllable,
+        composeSyllable,
+        splitJamo,
+        toJamoSequence,
+        decompose,
+        compose,
+
+        // 상수
+        HANGUL_CHOSEONG,
+        HANGUL_JUNGSEONG,
+        HANGUL_JONGSEONG,
+        HANGUL_COMPOUND_VOWELS,
+        HANGUL_DOUBLE_FINALS
+    };
+}
@@ -0,0 +1,207 @@
+/**
+ * 자모 혼동 행렬 모듈 (jamo-confusion.js)
+ *
+ * 분석 결과의 정답/후보 쌍을 자모 단위로 정렬해 STT 엔진이 어떤 소리를 어떤 소리로 잘못 듣는지 집계합니다:
+ * - origin_judge로 쌍을 골라(기본: 'true', 정답으로 판정된 발화) 후보 frequency만큼 가중
+ * - 초성/중성/종성별 혼동 행렬 (행: 정답 자모, 열: 후보 자모, ∅는 삽입/삭제)
+ * - 혼동 순위에 PHONETIC_CONFUSION_MAP 등록 여부를 표시해 혼동 쌍/가중치 조정에 활용
+ *
+ * 자모 정렬은 stt-similarity.js(STTSimilarity)의 alignKoreanPhonetic을 사용합니다.
+ */
+
+// STT 유사도 모듈 참조 (브라우저: 전역 STTSimilarity, Node.js: require)
+function getPhoneticAligner() {
+    if (typeof STTSimilarity !== 'undefined') return STTSimilarity;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./stt-similarity.js');
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 한글 자모 모듈 참조 (자모 정렬 순서용)
+function getConfusionHangulJamo() {
+    if (typeof HangulJamo !== 'undefined') return HangulJamo;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./hangul.js');
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 집계 대상 자모 위치
+const JAMO_CONFUSION_ROLES = [
+    { role: 'cho', label: '초성' },
+    { role: 'jung', label: '중성' },
+    { role: 'jong', label: '종성' }
+];
+
+// 삽입/삭제를 나타내는 빈 자모 표시
+const EMPTY_JAMO = '∅';
+
+/**
+ * 분석 결과에서 origin_judge 기준으로 정답/후보 쌍 수집
+ * @param {Array} results - 분석 결과 ([{ expected_answer, candidates: [{ candidate_word, origin_judge, frequency }] }])
+ * @param {string} judge - 'true' | 'false' | 'mixed' | 'all'
+ * @returns {Array} - [{ expected, candidate, frequency }]
+ */
+function collectJudgedPairs(results, judge = 'true') {
+    const pairs = [];
+    (results || []).forEach(result => {
+        (result.candidates || []).forEach(candidate => {
+            if (judge !== 'all' && String(candidate.origin_judge) !== judge) return;
+
+            const expected = String(result.expected_answer ?? '').trim();
+            const candidateText = String(candidate.candidate_word ?? '').trim();
+            if (!expected || !candidateText) return;
+
+            pairs.push({ expected, candidate: candidateText, frequency: candidate.frequency || 1 });
+        });
+    });
+    return pairs;
+}
+
+// 자모 정렬 순서 (초성 → 중성 → 종성 순서표 기준, ∅는 마지막)
+function compareJamo(x, y) {
+    const hangul = getConfusionHangulJamo();
+    const order = hangul
+        ? [...new Set([...hangul.HANGUL_CHOSEONG, ...hangul.HANGUL_JUNGSEONG, ...hangul.HANGUL_JONGSEONG.filter(Boolean)])]
+        : [];
+    const rank = (jamo) => jamo === EMPTY_JAMO ? Infinity : (order.indexOf(jamo) === -1 ? order.length : order.indexOf(jamo));
+    return rank(x) - rank(y) || x.localeCompare(y);
+}
+
+// PHONETIC_CONFUSION_MAP에 등록된 혼동 쌍인지 (양방향)
+function isRegisteredConfusion(from, to) {
+    const stt = getPhoneticAligner();
+    const map = stt ? stt.PHONETIC_CONFUSION_MAP : {};
+    return Boolean((map[from] && map[from].includes(to)) || (map[to] && map[to].includes(from)));
+}
+
+/**
+ * 정답/후보 쌍들의 자모 혼동 행렬 집계
+ * 정렬 단계의 위치는 정답 쪽 자모 기준이며, 삽입(정답 쪽 자모 없음)만 후보 쪽 위치를 씁니다.
+ * 띄어쓰기와 한글이 아닌 문자는 제외합니다.
+ * @param {Array} pairs - collectJudgedPairs() 결과 [{ expected, candidate, frequency }]
+ * @returns {Object} - {
+ *   pairCount,
+ *   matrices: { cho|jung|jong: { role, label, rows, cols, counts: { 정답자모: { 후보자모: 횟수 } }, total, errors } },
+ *   topConfusions: [{ role, label, from, to, count, rate, registered }]
+ *     (count 내림차순, rate는 같은 정답 자모 중 비율, registered는 삽입/삭제면 null)
+ * }
+ */
+function buildJamoConfusionMatrix(pairs) {
+    const stt = getPhoneticAligner();
+    const matrices = Object.fromEntries(JAMO_CONFUSION_ROLES.map(({ role, label }) =>
+        [role, { role, label, rows: [], cols: [], counts: {}, total: 0, errors: 0 }]));
+
+    (pairs || []).forEach(pair => {
+        if (!stt) return;
+        const weight = pair.frequency || 1;
+
+        stt.alignKoreanPhonetic(pair.expected, pair.candidate).path.forEach(step => {
+            const role = step.a !== null ? step.aRole : step.bRole;
+            const matrix = matrices[role];
+            if (!matrix) return;
+
+            const from = step.a ?? EMPTY_JAMO;
+            const to = step.b ?? EMPTY_JAMO;
+            if (/\s/.test(from) || /\s/.test(to)) return;
+
+            if (!matrix.counts[from]) matrix.counts[from] = {};
+            matrix.counts[from][to] = (matrix.counts[from][to] || 0) + weight;
+            matrix.total += weight;
+            if (from !== to) matrix.errors += weight;
+        });
+    });
+
+    const topConfusions = [];
+    Object.values(matrices).forEach(matrix => {
+        matrix.rows = Object.keys(matrix.counts).sort(compareJamo);
+        matrix.cols = [...new Set(Object.values(matrix.counts).flatMap(row => Object.keys(row)))].sort(compareJamo);
+
+        matrix.rows.forEach(from => {
+            const rowTotal = Object.values(matrix.counts[from]).reduce((sum, count) => sum + count, 0);
+            Object.entries(matrix.counts[from]).forEach(([to, count]) => {
+                if (from === to) return;
+                topConfusions.push({
+                    role: matrix.role,
+                    label: matrix.label,
+                    from,
+                    to,
+                    count,
+                    rate: Math.round(count / rowTotal * 1000) / 1000,
+                    registered: from === EMPTY_JAMO || to === EMPTY_JAMO ? null : isRegisteredConfusion(from, to)
+                });
+            });
+        });
+    });
+    topConfusions.sort((x, y) => y.count - x.count || y.rate - x.rate);
+
+    return { pairCount: (pairs || []).length, matrices, topConfusions };
+}
+
+/**
+ * 엑셀 내보내기용 시트 데이터
+ * @param {Object} report - buildJamoConfusionMatrix() 결과
+ * @returns {Array} - [{ name, rows, type: 'aoa' | 'json' }] (행렬 시트는 2차원 배열, 혼동 순위 시트는 객체 배열)
+ */
+function createJamoConfusionSheets(report) {
+    const sheetNames = { cho: 'Confusion_Choseong', jung: 'Confusion_Jungseong', jong: 'Confusion_Jongseong' };
+    const matrixSheets = JAMO_CONFUSION_ROLES.map(({ role }) => {
+        const matrix = report.matrices[role];
+        return {
+            name: sheetNames[role],
+            type: 'aoa',
+            rows: [
+                [`${matrix.label} (정답↓ / 후보→)`, ...matrix.cols],
+                ...matrix.rows.map(from => [from, ...matrix.cols.map(to => matrix.counts[from][to] || 0)])
+            ]
+        };
+    });
+
+    const rankingSheet = {
+        name: 'Top_Confusions',
+        type: 'json',
+        rows: report.topConfusions.map(confusion => ({
+            '위치': confusion.label,
+            '정답_자모': confusion.from,
+            '후보_자모': confusion.to,
+            '횟수': confusion.count,
+            '비율': confusion.rate,
+            '혼동쌍_등록': confusion.registered === null ? '-' : (confusion.registered ? 'Y' : 'N')
+        }))
+    };
+
+    return [...matrixSheets, rankingSheet];
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        collectJudgedPairs,
+        buildJamoConfusionMatrix,
+        createJamoConfusionSheets,
+
+        // 상수
+        JAMO_CONFUSION_ROLES,
+        EMPTY_JAMO
+    };
+} else {
+    // Browser environment - expose as global object
+    window.JamoConfusion = {
+        collectJudgedPairs,
+        buildJamoConfusionMatrix,
+        createJamoConfusionSheets,
+
+        // 상수
+        JAMO_CONFUSION_ROLES,
+        EMPTY_JAMO
+    };
+}
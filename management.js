@@ -56,6 +56,7 @@ function updateFinalResults() {
 
         return {
             id: result.id,
+            data_type: result.data_type || 'word',
             expected_answer: result.expected_answer,
             candidates: result.candidates.map(candidate => ({
                 log_id: candidate.log_id,
@@ -63,6 +64,8 @@ function updateFinalResults() {
                 similarity: candidate.similarity,
                 similarities: candidate.similarities, // 모든 유사도 점수 포함
                 origin_judge: candidate.origin_judge,
+                keyword_included: candidate.keyword_included,
+                pass_ratio: candidate.pass_ratio,
                 frequency: candidate.frequency,
                 approval_status: approvalStatus[`${result.id}_${candidate.candidate_word}`] || 'pending'
             }))
@@ -77,6 +80,7 @@ function exportResults() {
     const finalResults = analysisResults.map(result => {
         return {
             id: result.id,
+            data_type: result.data_type || 'word',
             expected_answer: result.expected_answer,
             keyword: result.keyword || null,
             candidates: result.candidates.map(candidate => ({
@@ -85,17 +89,25 @@ function exportResults() {
                 similarity: candidate.similarity,
                 similarities: candidate.similarities, // 모든 유사도 점수 포함 (STT 메트릭 포함)
                 origin_judge: candidate.origin_judge,
+                keyword_included: candidate.keyword_included,
+                pass_ratio: candidate.pass_ratio,
+                logs: candidate.logs || [],
                 frequency: candidate.frequency,
+                variants: candidate.variants || [{ text: candidate.candidate_word, frequency: candidate.frequency }],
                 approval_status: approvalStatus[`${result.id}_${candidate.candidate_word}`] || 'pending',
                 best_preprocessing_method: candidate.bestPreprocessingMethod || null,
                 preprocessing_comparison: candidate.preprocessingComparison ? 
                     Object.keys(candidate.preprocessingComparison).reduce((acc, stage) => {
                         const comparison = candidate.preprocessingComparison[stage];
                         acc[stage] = {
+                            stage_label: getRegisteredStageLabel(stage),
                             similarity: comparison.similarity,
                             similarities: comparison.similarities, // STT 메트릭 포함
                             expected_text: comparison.expectedText,
-                            candidate_text: comparison.candidateText
+                            candidate_text: comparison.candidateText,
+                            phonetic_alignment: comparison.phoneticAlignment || null,
+                            expected_trace: comparison.expectedTrace || [],
+                            candidate_trace: comparison.candidateTrace || []
                         };
                         return acc;
                     }, {}) : null
@@ -150,6 +162,20 @@ function exportExcel() {
         const inputData = createInputDataSheet();
         const inputSheet = XLSX.utils.json_to_sheet(inputData);
         XLSX.utils.book_append_sheet(workbook, inputSheet, 'Input_Data');
+
+        // 시트 5: 파싱 오류 (제외된 행이 있는 경우)
+        const parseErrorData = createParseErrorSheet();
+        if (parseErrorData.length > 0) {
+            const parseErrorSheet = XLSX.utils.json_to_sheet(parseErrorData);
+            XLSX.utils.book_append_sheet(workbook, parseErrorSheet, 'Parse_Errors');
+        }
+
+        // 시트 6: 전처리 방향 평가 (방향 평가 모드로 분석한 경우)
+        const directionEvaluationData = createDirectionEvaluationSheet();
+        if (directionEvaluationData.length > 0) {
+            const directionEvaluationSheet = XLSX.utils.json_to_sheet(directionEvaluationData);
+            XLSX.utils.book_append_sheet(workbook, directionEvaluationSheet, 'Direction_Evaluation');
+        }
         
         // 파일 다운로드
         const fileName = `similarity_analysis_${new Date().toISOString().split('T')[0]}.xlsx`;
@@ -180,6 +206,7 @@ function createSummarySheet() {
         
         return {
             'ID': result.id,
+            '데이터_타입': result.data_type === 'sentence' ? '문장' : '단어',
             '정답': result.expected_answer,
             '키워드': result.keyword || '',
             '총_후보수': result.candidates.length,
@@ -224,13 +251,36 @@ function createDetailsSheet() {
                 rowData['STT_Jaro_Winkler'] = similarities.stt_jaro_winkler?.toFixed(3) || '';
                 rowData['STT_Levenshtein'] = similarities.stt_levenshtein?.toFixed(3) || '';
                 rowData['STT_Korean_Phonetic'] = similarities.stt_phonetic?.toFixed(3) || '';
+                rowData['STT_Pronunciation'] = similarities.stt_pronunciation?.toFixed(3) || '';
+                rowData['STT_Jaro_Winkler_Jamo'] = similarities.stt_jaro_winkler_jamo?.toFixed(3) || '';
+                rowData['STT_Levenshtein_Jamo'] = similarities.stt_levenshtein_jamo?.toFixed(3) || '';
+                rowData['STT_Bigram_Dice'] = similarities.stt_bigram_dice?.toFixed(3) || '';
+                rowData['STT_Trigram_Dice'] = similarities.stt_trigram_dice?.toFixed(3) || '';
+                rowData['STT_Token_Set'] = similarities.stt_token_set?.toFixed(3) || '';
+                rowData['STT_LCS_Ratio'] = similarities.stt_lcs_ratio?.toFixed(3) || '';
+                rowData['STT_Spaced'] = similarities.stt_spaced?.toFixed(3) || '';
+                rowData['STT_Unspaced'] = similarities.stt_unspaced?.toFixed(3) || '';
                 rowData['STT_Ensemble'] = similarities.stt_ensemble?.toFixed(3) || '';
             }
 
+            // 문장 오류율 추가 (문장 분석인 경우)
+            const sentenceComponents = similarities.sentence_components || {};
+            if (sentenceComponents.cer !== undefined) {
+                const errorRates = similarities.sentence_analysis?.errorRates || {};
+                const formatCounts = (rate) => rate ? `S${rate.substitutions}/I${rate.insertions}/D${rate.deletions}` : '';
+                rowData['CER'] = sentenceComponents.cer.toFixed(3);
+                rowData['CER_SID'] = formatCounts(errorRates.cer);
+                rowData['WER'] = sentenceComponents.wer?.toFixed(3) || '';
+                rowData['WER_SID'] = formatCounts(errorRates.wer);
+            }
+
             // 나머지 정보 추가
             Object.assign(rowData, {
                 '출현_횟수': candidate.frequency || 1,
+                '표기_변형': (candidate.variants || []).map(v => `${v.text} (${v.frequency})`).join(' | '),
                 '원본_판정': candidate.origin_judge,
+                '통과_비율': candidate.pass_ratio !== undefined ? candidate.pass_ratio.toFixed(3) : '',
+                '로그별_판정': (candidate.logs || []).map(log => `${log.log_id}:${log.pass ? 'PASS' : 'FAIL'}`).join(','),
                 '승인_상태': statusMap[approvalStatus_val] || '대기중',
                 '로그_ID_목록': candidate.log_id?.join(',') || '',
                 '최적_전처리_방법': candidate.bestPreprocessingMethod || '',
@@ -246,6 +296,16 @@ function createDetailsSheet() {
 }
 
 // 시트 3: 전처리 비교 데이터 생성
+// 전처리 단계 레지스트리의 단계 이름 (사용자 정의 단계 등 시트용 이름이 따로 없는 경우)
+function getRegisteredStageLabel(stage) {
+    return typeof TextPreprocessor !== 'undefined' ? TextPreprocessor.getPreprocessingStageLabel(stage) : stage;
+}
+
+// 전처리 추적을 시트 셀 문자열로 변환 ("규칙: 변경 전→변경 후; ...")
+function formatPreprocessingTrace(trace) {
+    return (trace || []).map(entry => `${entry.rule}: ${entry.before}→${entry.after}`).join('; ');
+}
+
 function createPreprocessingSheet() {
     const preprocessingData = [];
     
@@ -257,6 +317,11 @@ function createPreprocessingSheet() {
                     'original': '원본', 
                     'step13': 'Step1-3', 
                     'step14': 'Step1-4',
+                    'translit': '음역',
+                    'translitLatin': '영문표기통일',
+                    'particles': '조사어미제거',
+                    'spacing': '띄어쓰기제거',
+                    'resegment': '띄어쓰기재분할',
                     'reverseR13': 'R1-R3',
                     'reverseR14': 'R1-R4'
                 };
@@ -267,18 +332,20 @@ function createPreprocessingSheet() {
                     '키워드': result.keyword || '',
                     '후보_답변': candidate.candidate_word,
                     '최적_전처리_방법': candidate.bestPreprocessingMethod ? 
-                        (stageNames[candidate.bestPreprocessingMethod] || candidate.bestPreprocessingMethod) : ''
+                        (stageNames[candidate.bestPreprocessingMethod] || getRegisteredStageLabel(candidate.bestPreprocessingMethod)) : ''
                 };
                 
                 // 각 전처리 단계별 유사도 및 STT 메트릭 추가
                 Object.keys(comparison).forEach(stage => {
-                    const stageName = stageNames[stage] || stage;
+                    const stageName = stageNames[stage] || getRegisteredStageLabel(stage);
                     const stageData = comparison[stage];
                     
                     // 기본 유사도 (코사인)
                     row[`${stageName}_코사인_유사도`] = stageData.similarity?.toFixed(3) || '';
                     row[`${stageName}_텍스트`] = stageData.candidateText || '';
                     row[`${stageName}_정답_텍스트`] = stageData.expectedText || '';
+                    row[`${stageName}_전처리_추적`] = formatPreprocessingTrace(stageData.candidateTrace);
+                    row[`${stageName}_정답_전처리_추적`] = formatPreprocessingTrace(stageData.expectedTrace);
                     
                     // STT 메트릭 (있는 경우만)
                     if (stageData.similarities) {
@@ -287,6 +354,15 @@ function createPreprocessingSheet() {
                             row[`${stageName}_STT_Jaro_Winkler`] = similarities.stt_jaro_winkler?.toFixed(3) || '';
                             row[`${stageName}_STT_Levenshtein`] = similarities.stt_levenshtein?.toFixed(3) || '';
                             row[`${stageName}_STT_Korean_Phonetic`] = similarities.stt_phonetic?.toFixed(3) || '';
+                            row[`${stageName}_STT_Pronunciation`] = similarities.stt_pronunciation?.toFixed(3) || '';
+                            row[`${stageName}_STT_Jaro_Winkler_Jamo`] = similarities.stt_jaro_winkler_jamo?.toFixed(3) || '';
+                            row[`${stageName}_STT_Levenshtein_Jamo`] = similarities.stt_levenshtein_jamo?.toFixed(3) || '';
+                            row[`${stageName}_STT_Bigram_Dice`] = similarities.stt_bigram_dice?.toFixed(3) || '';
+                            row[`${stageName}_STT_Trigram_Dice`] = similarities.stt_trigram_dice?.toFixed(3) || '';
+                            row[`${stageName}_STT_Token_Set`] = similarities.stt_token_set?.toFixed(3) || '';
+                            row[`${stageName}_STT_LCS_Ratio`] = similarities.stt_lcs_ratio?.toFixed(3) || '';
+                            row[`${stageName}_STT_Spaced`] = similarities.stt_spaced?.toFixed(3) || '';
+                            row[`${stageName}_STT_Unspaced`] = similarities.stt_unspaced?.toFixed(3) || '';
                             row[`${stageName}_STT_Ensemble`] = similarities.stt_ensemble?.toFixed(3) || '';
                         }
                     }
@@ -320,6 +396,49 @@ function createInputDataSheet() {
     }));
 }
 
+// 시트 5: 파싱 오류 데이터 생성 (파싱 단계에서 제외된 행)
+function createParseErrorSheet() {
+    if (typeof DataParser === 'undefined' || !DataParser.getParseReport) {
+        return [];
+    }
+
+    return DataParser.getParseReport().issues.map(issue => ({
+        '행_번호': issue.row_number,
+        '사유_코드': issue.reason,
+        '사유': issue.reason_label,
+        '상세': issue.detail,
+        '원본_라인': issue.raw_line
+    }));
+}
+
+// 시트 6: 전처리 방향 평가 데이터 생성 (방향 평가 모드로 분석한 경우)
+function createDirectionEvaluationSheet() {
+    if (typeof directionEvaluationReport === 'undefined' || !directionEvaluationReport) {
+        return [];
+    }
+
+    const typeNames = { word: '단어', sentence: '문장' };
+    const directionNames = { forward: '정방향', reverse: '역방향', none: '-' };
+    const { metric, dataTypes } = directionEvaluationReport;
+
+    return Object.keys(dataTypes).flatMap(dataType => {
+        const evaluation = dataTypes[dataType];
+        return evaluation.stages.map(stage => ({
+            '데이터_타입': typeNames[dataType] || dataType,
+            '기준_점수': metric,
+            '단계': stage.label,
+            '방향': directionNames[stage.direction] || stage.direction,
+            'AUC': stage.auc ?? '',
+            '통과_평균': stage.passMean ?? '',
+            '실패_평균': stage.failMean ?? '',
+            '평균_차이': stage.gap ?? '',
+            '후보_수': stage.count,
+            '방향별_최고': stage === evaluation.bestForward || stage === evaluation.bestReverse ? 'Y' : '',
+            '우세_방향': evaluation.winner === 'tie' ? '동일' : (directionNames[evaluation.winner] || '')
+        }));
+    });
+}
+
 // 유사도 상세정보 토글 함수
 function toggleSimilarityDetails(candidateId) {
     const detailsElement = document.getElementById(`similarity_${candidateId}`);
@@ -1,15 +1,232 @@
 /**
  * CSV/TSV 데이터 파싱 및 그룹핑 모듈 (parser.js)
  * 
- * 이 모듈은 CSV/TSV 형태의 로그 데이터를 파싱하고 그룹핑하는 기능을 제공합니다:
- * - 자동 구분자 감지 (CSV/TSV)
- * - 단어/문장 데이터 파싱
- * - 정답별 그룹핑 및 중복 제거
- * - 원본 데이터 추적
+ * 이 모듈은 CSV/TSV/JSONL/XLSX 형태의 로그 데이터를 파싱하고 그룹핑하는 기능을 제공합니다:
+ * - 자동 입력 형식 감지 (CSV/TSV/JSONL)
+ * - XLSX 시트 입력 (SheetJS)
+ * - RFC 4180 호환 토큰화 (따옴표, 여러 줄 셀, CRLF, BOM)
+ * - 대용량 파일용 청크 단위 스트리밍 파싱
+ * - 헤더 행 감지 및 컬럼 매핑
+ * - 단어/문장 데이터 파싱 (prompt_type 기준 행 단위 자동 분류)
+ * - 정답별 그룹핑 및 정규화 키 기반 후보 중복 제거 (표기 변형 보존)
+ * - 원본 데이터 추적 및 행 단위 파싱 진단 리포트
  */
 
 // 전역 변수 선언
 let originalInputData = [];
+let customColumnMap = null; // UI에서 지정한 컬럼 매핑 (헤더가 없는 데이터용)
+
+// 파싱 리포트 사유 코드 → 표시 이름
+const PARSE_ISSUE_LABELS = {
+    'empty': '빈 줄',
+    'comment': '주석 라인',
+    'unterminated-quote': '닫히지 않은 따옴표',
+    'too-few-columns': '컬럼 수 부족',
+    'bad-user-id': '잘못된 user_id',
+    'duplicate-id': '중복 ID',
+    'data-type-mismatch': '데이터 타입 불일치',
+    'invalid-json': 'JSON 파싱 실패'
+};
+
+// prompt_type 접두사 → 데이터 타입 (WORD_SIMILARITY_PASS_FAIL_V2 등)
+const PROMPT_TYPE_PREFIXES = {
+    'WORD_': 'word',
+    'SENTENCE_': 'sentence'
+};
+
+/**
+ * 빈 파싱 리포트 생성
+ * @returns {Object} - 파싱 리포트 기본 구조
+ */
+function createEmptyParseReport() {
+    return {
+        data_type: null,
+        format: null,
+        delimiter: null,
+        header_detected: false,
+        total_rows: 0,
+        parsed_rows: 0,
+        type_counts: { word: 0, sentence: 0 },
+        counts: {},
+        issues: []
+    };
+}
+
+let parseReport = createEmptyParseReport(); // 마지막 파싱의 행 단위 진단 결과
+
+// 로그 컬럼 정의 (기본 순서 = 로그 export 컬럼 순서)
+const LOG_COLUMNS = ['id', 'user_id', 'version', 'pass', 'fail_reason', 'prompt_type', 'keyword', 'word', 'sentence', 'user_response'];
+
+// 헤더 이름 별칭 (정규화된 헤더 이름 → 표준 컬럼 이름)
+const COLUMN_ALIASES = {
+    'keywords': 'keyword',
+    'userid': 'user_id',
+    'prompttype': 'prompt_type',
+    'failreason': 'fail_reason',
+    'userresponse': 'user_response',
+    'user_answer': 'user_response',
+    // 엑셀 내보내기 Input_Data 시트 헤더 (다시 불러오기용)
+    '사용자_id': 'user_id',
+    '버전': 'version',
+    '통과_여부': 'pass',
+    '실패_사유': 'fail_reason',
+    '프롬프트_타입': 'prompt_type',
+    '키워드': 'keyword',
+    '단어': 'word',
+    '문장': 'sentence',
+    '사용자_답변': 'user_response'
+};
+
+// 데이터 타입별 필수 컬럼
+const REQUIRED_COLUMNS = {
+    word: ['id', 'user_id', 'pass', 'word', 'user_response'],
+    sentence: ['id', 'user_id', 'pass', 'keyword', 'sentence', 'user_response']
+};
+
+// 기본 컬럼 매핑 (컬럼 이름 → 0부터 시작하는 인덱스)
+const DEFAULT_COLUMN_MAP = LOG_COLUMNS.reduce((map, column, index) => {
+    map[column] = index;
+    return map;
+}, {});
+
+/**
+ * 헤더 셀 이름을 표준 컬럼 이름으로 정규화
+ * @param {string} cell - 헤더 셀 텍스트
+ * @returns {string|null} - 표준 컬럼 이름 (알 수 없는 경우 null)
+ */
+function normalizeColumnName(cell) {
+    const name = (cell || '').trim().replace(/^"|"$/g, '').toLowerCase().replace(/[\s-]+/g, '_');
+    if (LOG_COLUMNS.includes(name)) return name;
+    const alias = COLUMN_ALIASES[name] || COLUMN_ALIASES[name.replace(/_/g, '')];
+    return alias || null;
+}
+
+/**
+ * 헤더 행 감지 및 컬럼 매핑 생성
+ * 알려진 컬럼 이름이 3개 이상 포함된 행을 헤더로 판단합니다.
+ * @param {Array} parts - 구분자로 분리된 셀 배열
+ * @returns {Object|null} - 컬럼 매핑 (헤더가 아니면 null)
+ */
+function detectHeaderRow(parts) {
+    const columnMap = {};
+    parts.forEach((cell, index) => {
+        const column = normalizeColumnName(cell);
+        if (column && columnMap[column] === undefined) {
+            columnMap[column] = index;
+        }
+    });
+
+    return Object.keys(columnMap).length >= 3 ? columnMap : null;
+}
+
+/**
+ * 헤더가 없는 데이터에 사용할 컬럼 매핑 설정
+ * @param {Object|null} columnMap - 컬럼 이름 → 인덱스 매핑 (null이면 기본 매핑 사용)
+ */
+function setColumnMap(columnMap) {
+    customColumnMap = columnMap ? { ...columnMap } : null;
+}
+
+/**
+ * 현재 적용되는 컬럼 매핑 반환
+ * @returns {Object} - 컬럼 이름 → 인덱스 매핑
+ */
+function getColumnMap() {
+    return { ...(customColumnMap || DEFAULT_COLUMN_MAP) };
+}
+
+/**
+ * 컬럼 매핑 기준 필수 컬럼 수 계산
+ * @param {Object} columnMap - 컬럼 매핑
+ * @param {Array} requiredColumns - 필수 컬럼 이름 목록
+ * @returns {number} - 행이 가져야 하는 최소 컬럼 수
+ */
+function getRequiredColumnCount(columnMap, requiredColumns) {
+    const indexes = requiredColumns
+        .map(column => columnMap[column])
+        .filter(index => index !== undefined && index >= 0);
+    return indexes.length > 0 ? Math.max(...indexes) + 1 : 1;
+}
+
+/**
+ * 컬럼 매핑을 이용해 셀 값 추출
+ * @param {Array} parts - 셀 배열
+ * @param {Object} columnMap - 컬럼 매핑
+ * @param {string} column - 컬럼 이름
+ * @returns {string} - 셀 값 (매핑되지 않은 컬럼은 빈 문자열)
+ */
+function getColumnValue(parts, columnMap, column) {
+    const index = columnMap[column];
+    if (index === undefined || index < 0) return '';
+    return parts[index]?.trim() || '';
+}
+
+/**
+ * 원본 입력 레코드 생성 (Excel "Input_Data" 시트와 동일한 필드)
+ * @param {Array} parts - 셀 배열
+ * @param {Object} columnMap - 컬럼 매핑
+ * @param {string} dataType - 데이터 타입 ('word' 또는 'sentence')
+ * @param {string} originalLine - 원본 라인
+ * @param {string} parsingStatus - 파싱 상태 ('성공' 또는 '실패: 사유')
+ * @returns {Object} - 원본 입력 레코드
+ */
+function buildInputRecord(parts, columnMap, dataType, originalLine, parsingStatus = '성공') {
+    return {
+        row_number: originalInputData.length + 1,
+        id: getColumnValue(parts, columnMap, 'id'),
+        user_id: getColumnValue(parts, columnMap, 'user_id'),
+        data_type: dataType,
+        version: getColumnValue(parts, columnMap, 'version'),
+        pass: getColumnValue(parts, columnMap, 'pass'),
+        fail_reason: getColumnValue(parts, columnMap, 'fail_reason'),
+        prompt_type: getColumnValue(parts, columnMap, 'prompt_type'),
+        keywords: getColumnValue(parts, columnMap, 'keyword'),
+        word: getColumnValue(parts, columnMap, 'word'),
+        sentence: getColumnValue(parts, columnMap, 'sentence'),
+        user_response: getColumnValue(parts, columnMap, 'user_response'),
+        parsing_status: parsingStatus,
+        original_line: originalLine
+    };
+}
+
+/**
+ * prompt_type 값으로 데이터 타입 판별
+ * @param {string} promptType - prompt_type 컬럼 값
+ * @returns {string|null} - 'word', 'sentence' 또는 판별 불가 시 null
+ */
+function detectPromptDataType(promptType) {
+    const normalized = (promptType || '').trim().toUpperCase();
+    const prefix = Object.keys(PROMPT_TYPE_PREFIXES).find(p => normalized.startsWith(p));
+    return prefix ? PROMPT_TYPE_PREFIXES[prefix] : null;
+}
+
+/**
+ * 행의 데이터 타입 결정
+ * prompt_type으로 판별할 수 없으면 지정된 타입을 사용하고,
+ * 자동 모드에서는 sentence 컬럼만 채워진 행을 문장으로 판단합니다.
+ * @param {Array} parts - 셀 배열
+ * @param {Object} columnMap - 컬럼 매핑
+ * @param {string} dataType - 요청된 데이터 타입 ('word', 'sentence', 'auto')
+ * @returns {string} - 'word' 또는 'sentence'
+ */
+function resolveRowDataType(parts, columnMap, dataType) {
+    const promptDataType = detectPromptDataType(getColumnValue(parts, columnMap, 'prompt_type'));
+    if (promptDataType) return promptDataType;
+    if (dataType !== 'auto') return dataType;
+
+    const hasWord = getColumnValue(parts, columnMap, 'word') !== '';
+    const hasSentence = getColumnValue(parts, columnMap, 'sentence') !== '';
+    return hasSentence && !hasWord ? 'sentence' : 'word';
+}
+
+/**
+ * BOM(Byte Order Mark) 제거 함수
+ * @param {string} dataText - 입력 데이터 텍스트
+ * @returns {string} - BOM이 제거된 텍스트
+ */
+function stripBOM(dataText) {
+    return dataText.charCodeAt(0) === 0xFEFF ? dataText.slice(1) : dataText;
+}
 
 /**
  * 구분자 자동 감지 함수
@@ -17,14 +234,20 @@ let originalInputData = [];
  * @returns {string} - 감지된 구분자 (',' 또는 '\t')
  */
 function detectDelimiter(dataText) {
-    const lines = dataText.trim().split('\n');
+    const lines = stripBOM(dataText).trim().split(/\r?\n|\r/);
     
     for (const line of lines) {
         const trimmedLine = line.trim();
         if (trimmedLine && !trimmedLine.startsWith('--') && !trimmedLine.startsWith('-')) {
-            // 탭과 쉼표 개수를 세어서 더 많은 쪽으로 결정
-            const tabCount = (trimmedLine.match(/\t/g) || []).length;
-            const commaCount = (trimmedLine.match(/,/g) || []).length;
+            // 따옴표 밖의 탭과 쉼표 개수를 세어서 더 많은 쪽으로 결정
+            let tabCount = 0;
+            let commaCount = 0;
+            let inQuotes = false;
+            for (const ch of trimmedLine) {
+                if (ch === '"') inQuotes = !inQuotes;
+                else if (!inQuotes && ch === '\t') tabCount++;
+                else if (!inQuotes && ch === ',') commaCount++;
+            }
 
             if (tabCount > commaCount) {
                 console.log('TSV 형태로 감지되었습니다.');
@@ -40,193 +263,661 @@ function detectDelimiter(dataText) {
 }
 
 /**
- * 단어 데이터 파싱 함수
- * @param {string} dataText - CSV/TSV 형태의 데이터 텍스트
- * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
- * @returns {Array} - 파싱된 데이터 배열
+ * 텍스트 입력 형식 감지 함수
+ * 첫 번째 데이터 라인이 '{'로 시작하면 JSONL, 아니면 구분자를 감지하여 CSV/TSV로 판단합니다.
+ * @param {string} dataText - 입력 데이터 텍스트
+ * @returns {Object} - { format: 'JSONL' | 'TSV' | 'CSV', delimiter: '\t' | ',' | null }
  */
-function parseWordData(dataText, debugLevel = 2) {
-    const lines = dataText.trim().split('\n');
-    const data = [];
-    originalInputData = []; // 원본 데이터 초기화
+function detectTextFormat(dataText) {
+    const firstDataLine = stripBOM(dataText).split(/\r?\n|\r/)
+        .map(line => line.trim())
+        .find(line => line && !line.startsWith('-'));
 
-    // 카운터 변수들
-    let skippedEmptyLines = 0;
-    let skippedCommentLines = 0;
-    let skippedInvalidLines = 0;
-    let totalLines = lines.length;
+    if (firstDataLine && firstDataLine.startsWith('{')) {
+        console.log('JSONL 형태로 감지되었습니다.');
+        return { format: 'JSONL', delimiter: null };
+    }
 
-    // 구분자 자동 감지
     const delimiter = detectDelimiter(dataText);
+    return { format: delimiter === '\t' ? 'TSV' : 'CSV', delimiter };
+}
 
-    for (const line of lines) {
-        const trimmedLine = line.trim();
+/**
+ * 한 행(레코드) 토큰화 함수 (RFC 4180)
+ * 따옴표로 감싼 필드는 구분자와 줄바꿈을 포함할 수 있고, ""는 따옴표 한 개로 해석합니다.
+ * @param {string} text - 전체 텍스트
+ * @param {number} start - 행 시작 위치
+ * @param {string} delimiter - 구분자
+ * @returns {Object} - { cells, end, next, lineCount } 또는 { error: 사유 코드 }
+ */
+function tokenizeRow(text, start, delimiter) {
+    const cells = [];
+    let field = '';
+    let inQuotes = false;
+    let quotedField = false;
+    let lineBreaks = 0;
+    let i = start;
 
-        // 빈 줄 체크
-        if (!trimmedLine) {
-            skippedEmptyLines++;
-            continue;
-        }
+    while (i < text.length) {
+        const ch = text[i];
 
-        // 주석 라인 체크
-        if (trimmedLine.startsWith('--') || trimmedLine.startsWith('-')) {
-            skippedCommentLines++;
-            if (debugLevel >= 2) {
-                console.log(`주석 라인 건너뛰기: ${trimmedLine}`);
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    // 이스케이프된 따옴표
+                    field += '"';
+                    i += 2;
+                } else {
+                    inQuotes = false;
+                    i++;
+                }
+            } else if (ch === '\r' || ch === '\n') {
+                // 셀 내부 줄바꿈은 \n으로 통일
+                field += '\n';
+                lineBreaks++;
+                i += (ch === '\r' && text[i + 1] === '\n') ? 2 : 1;
+            } else {
+                field += ch;
+                i++;
             }
             continue;
         }
 
-        const parts = trimmedLine.split(delimiter);
-        if (parts.length >= 10) {
-            data.push({
-                id: parts[0].trim(),
-                user_id: parts[1].trim(),
-                origin_judge: parts[3].trim().toLowerCase() === 'true',
-                answer: parts[7].trim(),
-                user_answer: parts[9].trim()
-            });
-
-            // 원본 입력 데이터 저장
-            originalInputData.push({
-                row_number: originalInputData.length + 1,
-                id: parts[0]?.trim() || '',
-                user_id: parts[1]?.trim() || '',
-                data_type: 'word',
-                version: parts[2]?.trim() || '',
-                pass: parts[3]?.trim() || '',
-                fail_reason: parts[4]?.trim() || '',
-                prompt_type: parts[5]?.trim() || '',
-                keywords: parts[6]?.trim() || '',
-                word: parts[7]?.trim() || '',
-                sentence: parts[8]?.trim() || '',
-                user_response: parts[9]?.trim() || '',
-                parsing_status: '성공',
-                original_line: trimmedLine
-            });
+        if (ch === '"' && !quotedField && field.trim() === '') {
+            // 필드 시작 위치의 따옴표 (앞쪽 공백은 무시)
+            inQuotes = true;
+            quotedField = true;
+            field = '';
+            i++;
+        } else if (ch === delimiter) {
+            cells.push(field);
+            field = '';
+            quotedField = false;
+            i++;
+        } else if (ch === '\r' || ch === '\n') {
+            cells.push(field);
+            const next = (ch === '\r' && text[i + 1] === '\n') ? i + 2 : i + 1;
+            return { cells, end: i, next, lineCount: lineBreaks + 1 };
         } else {
-            skippedInvalidLines++;
-            if (debugLevel >= 1) {
-                console.log(`유효하지 않은 라인 (컬럼 수 부족): ${trimmedLine}`);
-            }
+            field += ch;
+            i++;
         }
     }
 
-    if (debugLevel >= 1) {
-        console.log('=== 파싱 결과 요약 ===');
-        console.log(`전체 라인 수: ${totalLines}`);
-        console.log(`성공적으로 파싱된 레코드: ${data.length}`);
-        console.log(`건너뛴 빈 줄: ${skippedEmptyLines}`);
-        console.log(`건너뛴 주석 라인: ${skippedCommentLines}`);
-        console.log(`건너뛴 유효하지 않은 라인: ${skippedInvalidLines}`);
-        console.log(`사용된 구분자: '${delimiter === '\t' ? 'TAB' : 'COMMA'}'`);
-        console.log('====================');
+    if (inQuotes) {
+        return { error: 'unterminated-quote' };
     }
 
-    return data;
+    cells.push(field);
+    return { cells, end: i, next: i, lineCount: lineBreaks + 1 };
 }
 
+// 닫는 따옴표를 기다리며 보관할 수 있는 최대 길이 (넘으면 닫히지 않은 따옴표로 처리)
+const MAX_PENDING_ROW_LENGTH = 1024 * 1024;
+
 /**
- * 문장 데이터 파싱 함수
- * @param {string} dataText - CSV/TSV 형태의 데이터 텍스트
+ * 청크 단위 행 토큰화기 생성 함수
+ * 청크 경계에 걸친 행(따옴표 안의 줄바꿈, 나뉜 CRLF 포함)은 다음 청크가 들어올 때까지 보관합니다.
+ * @param {string} delimiter - 구분자 (',' 또는 '\t')
+ * @returns {Object} - { push(chunk): 완성된 행 배열, flush(): 남은 행 배열 }
+ */
+function createRowTokenizer(delimiter) {
+    let buffer = '';
+    let lineNumber = 1;
+    let isFirstChunk = true;
+
+    const drain = (isFinal) => {
+        const rows = [];
+        let pos = 0;
+
+        while (pos < buffer.length) {
+            const result = tokenizeRow(buffer, pos, delimiter);
+
+            if (result.error) {
+                // 닫는 따옴표가 다음 청크에 있을 수 있으므로 한도 안에서는 대기
+                if (!isFinal && buffer.length - pos <= MAX_PENDING_ROW_LENGTH) break;
+
+                // 오류 행은 시작 줄만 보고하고 다음 줄부터 다시 토큰화
+                const lineEnd = buffer.slice(pos).search(/\r?\n|\r/);
+                if (lineEnd === -1 && !isFinal) break;
+                const end = lineEnd === -1 ? buffer.length : pos + lineEnd;
+                const next = buffer.startsWith('\r\n', end) ? end + 2 : end + 1;
+                rows.push({ cells: [], lineNumber, raw: buffer.slice(pos, end), error: result.error });
+                pos = next;
+                lineNumber++;
+                continue;
+            }
+
+            // 줄바꿈으로 끝나지 않은 행, 또는 CRLF가 청크 경계에서 나뉜 행은 다음 청크까지 대기
+            const isIncomplete = result.end === buffer.length ||
+                (buffer[result.end] === '\r' && result.next === buffer.length);
+            if (!isFinal && isIncomplete) break;
+
+            rows.push({ cells: result.cells, lineNumber, raw: buffer.slice(pos, result.end), error: null });
+            lineNumber += result.lineCount;
+            pos = result.next;
+        }
+
+        buffer = buffer.slice(pos);
+        return rows;
+    };
+
+    return {
+        push(chunk) {
+            buffer += isFirstChunk ? stripBOM(chunk) : chunk;
+            isFirstChunk = false;
+            return drain(false);
+        },
+        flush() {
+            return drain(true);
+        }
+    };
+}
+
+/**
+ * CSV/TSV 텍스트 토큰화 함수 (RFC 4180 호환)
+ * - 따옴표 필드, 이스케이프된 따옴표, 여러 줄 셀 지원
+ * - CRLF/LF/CR 줄바꿈 및 BOM 처리
+ * - 토큰화할 수 없는 행은 error(사유 코드)와 함께 반환하고 다음 줄부터 계속 처리
+ * @param {string} dataText - 입력 데이터 텍스트
+ * @param {string} delimiter - 구분자 (',' 또는 '\t')
+ * @returns {Array} - 행 배열 [{ cells, lineNumber, raw, error }]
+ */
+function tokenizeDelimitedText(dataText, delimiter) {
+    const tokenizer = createRowTokenizer(delimiter);
+    return [...tokenizer.push(dataText), ...tokenizer.flush()];
+}
+
+/**
+ * JSONL 로그 객체를 기본 컬럼 순서(LOG_COLUMNS)의 셀 배열로 변환
+ * 키는 originalInputData 필드 이름(keywords 포함)이나 컬럼 별칭을 사용할 수 있습니다.
+ * @param {Object} log - 로그 객체
+ * @returns {Array} - 셀 배열
+ */
+function jsonLogToCells(log) {
+    const cells = LOG_COLUMNS.map(() => '');
+    Object.keys(log).forEach(key => {
+        const column = normalizeColumnName(key);
+        const value = log[key];
+        if (column && value !== null && value !== undefined) {
+            cells[DEFAULT_COLUMN_MAP[column]] = String(value);
+        }
+    });
+    return cells;
+}
+
+/**
+ * 청크 단위 JSONL 토큰화기 생성 함수 (createRowTokenizer와 같은 인터페이스)
+ * 한 줄에 로그 객체 하나를 가정하며, 파싱할 수 없는 줄은 'invalid-json' 오류 행으로 반환합니다.
+ * @returns {Object} - { push(chunk): 완성된 행 배열, flush(): 남은 행 배열 }
+ */
+function createJsonlTokenizer() {
+    let buffer = '';
+    let lineNumber = 1;
+    let isFirstChunk = true;
+
+    const toRow = (line) => {
+        const row = { cells: [], lineNumber: lineNumber++, raw: line, error: null };
+        const trimmedLine = line.trim();
+        // 빈 줄과 주석 라인은 파싱 세션에서 분류
+        if (!trimmedLine || trimmedLine.startsWith('-')) return row;
+
+        try {
+            const log = JSON.parse(trimmedLine);
+            if (log === null || typeof log !== 'object' || Array.isArray(log)) {
+                row.error = 'invalid-json';
+            } else {
+                row.cells = jsonLogToCells(log);
+            }
+        } catch (error) {
+            row.error = 'invalid-json';
+        }
+        return row;
+    };
+
+    const drain = (isFinal) => {
+        // CR로 끝나면 다음 청크가 LF로 시작할 수 있으므로 마지막 CR은 줄바꿈으로 처리하지 않고 보관
+        const holdCR = !isFinal && buffer.endsWith('\r');
+        const lines = (holdCR ? buffer.slice(0, -1) : buffer).split(/\r?\n|\r/);
+        // 마지막 줄은 다음 청크와 이어질 수 있으므로 보관
+        buffer = isFinal ? '' : lines.pop() + (holdCR ? '\r' : '');
+        if (isFinal && lines[lines.length - 1] === '') lines.pop();
+        return lines.map(toRow);
+    };
+
+    return {
+        push(chunk) {
+            buffer += isFirstChunk ? stripBOM(chunk) : chunk;
+            isFirstChunk = false;
+            return drain(false);
+        },
+        flush() {
+            return buffer ? drain(true) : [];
+        }
+    };
+}
+
+/**
+ * 입력 형식에 맞는 토큰화기 생성
+ * @param {Object} textFormat - detectTextFormat 결과
+ * @returns {Object} - { push(chunk), flush() }
+ */
+function createTokenizer(textFormat) {
+    return textFormat.format === 'JSONL' ? createJsonlTokenizer() : createRowTokenizer(textFormat.delimiter);
+}
+
+/**
+ * 파싱 리포트에 건너뛴 행 기록
+ * @param {Object} row - 토큰화된 행
+ * @param {string} reason - 사유 코드 (PARSE_ISSUE_LABELS 키)
+ * @param {string} detail - 상세 설명
+ */
+function addParseIssue(row, reason, detail = '') {
+    parseReport.issues.push({
+        row_number: row.lineNumber,
+        raw_line: row.raw,
+        reason: reason,
+        reason_label: PARSE_ISSUE_LABELS[reason] || reason,
+        detail: detail
+    });
+}
+
+/**
+ * 로그 파싱 세션 생성 함수 (헤더 감지 + 컬럼 매핑 + prompt_type 기준 행 분류)
+ * 토큰화된 행을 하나씩 받아 검증하므로 전체 텍스트 파싱과 청크 단위 스트리밍 파싱이 같은 규칙을 사용합니다.
+ * 'auto'가 아닌 타입을 지정하면 prompt_type이 다른 타입을 가리키는 행은 제외됩니다.
+ * @param {string} dataType - 데이터 타입 ('word', 'sentence' 또는 'auto')
  * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
- * @returns {Array} - 파싱된 데이터 배열
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑
+ * @param {Object} textFormat - 입력 형식 { format: 'CSV' | 'TSV' | 'JSONL' | 'XLSX', delimiter }
+ * @returns {Object} - { processRow(row): 레코드 또는 null, finish(): 파싱 리포트 }
  */
-function parseSentenceData(dataText, debugLevel = 2) {
-    const lines = dataText.trim().split('\n');
-    const data = [];
+function createParseSession(dataType, debugLevel, columnMap, textFormat) {
     originalInputData = []; // 원본 데이터 초기화
 
-    // 카운터 변수들
-    let skippedEmptyLines = 0;
-    let skippedCommentLines = 0;
-    let skippedInvalidLines = 0;
-    let totalLines = lines.length;
+    // 파싱 리포트 초기화
+    parseReport = createEmptyParseReport();
+    parseReport.data_type = dataType;
+    parseReport.format = textFormat.format;
+    parseReport.delimiter = textFormat.delimiter === '\t' ? 'TAB' : textFormat.delimiter === ',' ? 'COMMA' : null;
 
-    // 구분자 자동 감지
-    const delimiter = detectDelimiter(dataText);
+    // JSONL은 키 이름으로 기본 컬럼 순서에 맞춰지므로 헤더 감지/컬럼 매핑을 적용하지 않음
+    const isJsonl = textFormat.format === 'JSONL';
 
-    for (const line of lines) {
-        const trimmedLine = line.trim();
+    // 헤더 행이 없으면 전달된 매핑 → 설정된 매핑 → 기본 매핑 순으로 사용
+    let activeColumnMap = isJsonl ? DEFAULT_COLUMN_MAP : (columnMap || customColumnMap || DEFAULT_COLUMN_MAP);
+    let headerChecked = isJsonl;
+    const seenIds = new Set();
+
+    // 실패 행 기록 (리포트 + 원본 입력 데이터)
+    const rejectRow = (row, parts, reason, detail, rowDataType = dataType) => {
+        addParseIssue(row, reason, detail);
+        const label = PARSE_ISSUE_LABELS[reason];
+        originalInputData.push(buildInputRecord(parts, activeColumnMap, rowDataType, row.raw.trim(), `실패: ${detail || label}`));
+        if (debugLevel >= 1) {
+            console.log(`유효하지 않은 라인 (${detail || label}, ${row.lineNumber}번째 줄): ${row.raw.trim()}`);
+        }
+    };
+
+    const processRow = (row) => {
+        parseReport.total_rows++;
+        const trimmedLine = row.raw.trim();
 
         // 빈 줄 체크
         if (!trimmedLine) {
-            skippedEmptyLines++;
-            continue;
+            addParseIssue(row, 'empty');
+            return null;
         }
 
         // 주석 라인 체크
         if (trimmedLine.startsWith('--') || trimmedLine.startsWith('-')) {
-            skippedCommentLines++;
+            addParseIssue(row, 'comment');
             if (debugLevel >= 2) {
                 console.log(`주석 라인 건너뛰기: ${trimmedLine}`);
             }
-            continue;
+            return null;
         }
 
-        const parts = trimmedLine.split(delimiter);
-        // 문장 데이터는 최소 10개 컬럼이 필요
-        if (parts.length >= 10) {
-            data.push({
-                id: parts[0].trim(),
-                user_id: parts[1].trim(),
-                version: parts[2].trim(),
-                origin_judge: parts[3].trim().toLowerCase() === 'true',
-                description: parts[4].trim(),
-                type: parts[5].trim(),
-                keyword: parts[6].trim(),
-                empty1: parts[7].trim(),
-                answer: parts[8].trim(), // 원본 문장
-                user_answer: parts[9].trim() // 사용자 답변 문장
-            });
-
-            // 원본 입력 데이터 저장
-            originalInputData.push({
-                row_number: originalInputData.length + 1,
-                id: parts[0]?.trim() || '',
-                user_id: parts[1]?.trim() || '',
-                data_type: 'sentence',
-                version: parts[2]?.trim() || '',
-                pass: parts[3]?.trim() || '',
-                fail_reason: parts[4]?.trim() || '',
-                prompt_type: parts[5]?.trim() || '',
-                keywords: parts[6]?.trim() || '',
-                word: parts[7]?.trim() || '',
-                sentence: parts[8]?.trim() || '',
-                user_response: parts[9]?.trim() || '',
-                parsing_status: '성공',
-                original_line: trimmedLine
-            });
-        } else {
-            skippedInvalidLines++;
-            if (debugLevel >= 1) {
-                console.log(`유효하지 않은 라인 (컬럼 수 부족): ${trimmedLine}`);
+        // 토큰화 오류 (닫히지 않은 따옴표 등)
+        if (row.error) {
+            rejectRow(row, [], row.error);
+            return null;
+        }
+
+        const parts = row.cells;
+
+        // 첫 번째 데이터 라인이 헤더인지 확인
+        if (!headerChecked) {
+            headerChecked = true;
+            const headerMap = detectHeaderRow(parts);
+            if (headerMap) {
+                activeColumnMap = headerMap;
+                parseReport.header_detected = true;
+                if (debugLevel >= 1) {
+                    console.log('헤더 행이 감지되었습니다. 컬럼 매핑:', headerMap);
+                }
+                return null;
             }
         }
+
+        // prompt_type 기준으로 행 단위 데이터 타입 결정
+        const rowDataType = resolveRowDataType(parts, activeColumnMap, dataType);
+        if (dataType !== 'auto' && rowDataType !== dataType) {
+            const promptType = getColumnValue(parts, activeColumnMap, 'prompt_type');
+            rejectRow(row, parts, 'data-type-mismatch', `데이터 타입 불일치 (${promptType})`, rowDataType);
+            return null;
+        }
+
+        const requiredColumnCount = getRequiredColumnCount(activeColumnMap, REQUIRED_COLUMNS[rowDataType]);
+        if (parts.length < requiredColumnCount) {
+            rejectRow(row, parts, 'too-few-columns', `컬럼 수 부족 (${parts.length}/${requiredColumnCount})`, rowDataType);
+            return null;
+        }
+
+        // user_id는 로그 ID 목록에 정수로 저장되므로 숫자만 허용
+        const userId = getColumnValue(parts, activeColumnMap, 'user_id');
+        if (!/^\d+$/.test(userId)) {
+            rejectRow(row, parts, 'bad-user-id', `잘못된 user_id ("${userId}")`, rowDataType);
+            return null;
+        }
+
+        // 같은 로그 ID가 다시 나오면 중복 export로 판단
+        const logId = getColumnValue(parts, activeColumnMap, 'id');
+        if (logId && seenIds.has(logId)) {
+            rejectRow(row, parts, 'duplicate-id', `중복 ID (${logId})`, rowDataType);
+            return null;
+        }
+        if (logId) seenIds.add(logId);
+
+        const record = buildInputRecord(parts, activeColumnMap, rowDataType, trimmedLine);
+        parseReport.parsed_rows++;
+        parseReport.type_counts[rowDataType]++;
+
+        // 원본 입력 데이터 저장
+        originalInputData.push(record);
+        return record;
+    };
+
+    const finish = () => {
+        parseReport.counts = parseReport.issues.reduce((counts, issue) => {
+            counts[issue.reason] = (counts[issue.reason] || 0) + 1;
+            return counts;
+        }, {});
+
+        if (debugLevel >= 1) {
+            const counts = parseReport.counts;
+            console.log(dataType === 'sentence' ? '=== 문장 데이터 파싱 결과 요약 ===' : '=== 파싱 결과 요약 ===');
+            console.log(`전체 라인 수: ${parseReport.total_rows}`);
+            console.log(`성공적으로 파싱된 레코드: ${parseReport.parsed_rows} (단어 ${parseReport.type_counts.word}, 문장 ${parseReport.type_counts.sentence})`);
+            console.log(`건너뛴 빈 줄: ${counts['empty'] || 0}`);
+            console.log(`건너뛴 주석 라인: ${counts['comment'] || 0}`);
+            console.log(`건너뛴 유효하지 않은 라인: ${parseReport.issues.length - (counts['empty'] || 0) - (counts['comment'] || 0)}`);
+            console.log(`입력 형식: ${parseReport.format}${parseReport.delimiter ? ` (구분자: '${parseReport.delimiter}')` : ''}`);
+            console.log('====================');
+        }
+
+        return parseReport;
+    };
+
+    return { processRow, finish };
+}
+
+/**
+ * 로그 데이터 파싱 공통 함수 (전체 텍스트)
+ * @param {string} dataText - CSV/TSV/JSONL 형태의 데이터 텍스트
+ * @param {string} dataType - 데이터 타입 ('word', 'sentence' 또는 'auto')
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑
+ * @returns {Array} - originalInputData 형태의 레코드 배열
+ */
+function parseLogRecords(dataText, dataType, debugLevel, columnMap) {
+    // 입력 형식(구분자) 자동 감지 및 토큰화
+    const textFormat = detectTextFormat(dataText);
+    const session = createParseSession(dataType, debugLevel, columnMap, textFormat);
+    const tokenizer = createTokenizer(textFormat);
+
+    const records = [];
+    for (const row of [...tokenizer.push(dataText), ...tokenizer.flush()]) {
+        const record = session.processRow(row);
+        if (record) records.push(record);
     }
 
+    session.finish();
+    return records;
+}
+
+/**
+ * 원본 레코드 → 단어 데이터 행 변환
+ * @param {Object} record - parseLogRecords 레코드
+ * @returns {Object} - 단어 데이터 행
+ */
+function toWordRow(record) {
+    return {
+        id: record.id,
+        user_id: record.user_id,
+        version: record.version,
+        origin_judge: record.pass.toLowerCase() === 'true',
+        description: record.fail_reason,
+        answer: record.word,
+        user_answer: record.user_response
+    };
+}
+
+/**
+ * 원본 레코드 → 문장 데이터 행 변환
+ * @param {Object} record - parseLogRecords 레코드
+ * @returns {Object} - 문장 데이터 행
+ */
+function toSentenceRow(record) {
+    return {
+        id: record.id,
+        user_id: record.user_id,
+        version: record.version,
+        origin_judge: record.pass.toLowerCase() === 'true',
+        description: record.fail_reason,
+        type: record.prompt_type,
+        keyword: record.keywords,
+        empty1: record.word,
+        answer: record.sentence, // 원본 문장
+        user_answer: record.user_response // 사용자 답변 문장
+    };
+}
+
+/**
+ * 단어 데이터 파싱 함수
+ * @param {string} dataText - CSV/TSV/JSONL 형태의 데이터 텍스트
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑 (선택)
+ * @returns {Array} - 파싱된 데이터 배열
+ */
+function parseWordData(dataText, debugLevel = 2, columnMap = null) {
+    return parseLogRecords(dataText, 'word', debugLevel, columnMap).map(toWordRow);
+}
+
+/**
+ * 문장 데이터 파싱 함수
+ * @param {string} dataText - CSV/TSV/JSONL 형태의 데이터 텍스트
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑 (선택)
+ * @returns {Array} - 파싱된 데이터 배열
+ */
+function parseSentenceData(dataText, debugLevel = 2, columnMap = null) {
+    return parseLogRecords(dataText, 'sentence', debugLevel, columnMap).map(toSentenceRow);
+}
+
+/**
+ * 단어/문장 혼합 데이터 파싱 함수 (prompt_type 기준 자동 분류)
+ * @param {string} dataText - CSV/TSV/JSONL 형태의 데이터 텍스트
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑 (선택)
+ * @returns {Object} - { word: 단어 데이터 배열, sentence: 문장 데이터 배열 }
+ */
+function parseMixedData(dataText, debugLevel = 2, columnMap = null) {
+    return splitRecordsByType(parseLogRecords(dataText, 'auto', debugLevel, columnMap));
+}
+
+/**
+ * 레코드를 데이터 타입별 행으로 분리
+ * @param {Array} records - parseLogRecords 레코드 배열
+ * @returns {Object} - { word: 단어 데이터 배열, sentence: 문장 데이터 배열 }
+ */
+function splitRecordsByType(records) {
+    return {
+        word: records.filter(record => record.data_type === 'word').map(toWordRow),
+        sentence: records.filter(record => record.data_type === 'sentence').map(toSentenceRow)
+    };
+}
+
+/**
+ * 청크 단위 스트리밍 파서 생성 함수 (대용량 파일용)
+ * 첫 번째 데이터 라인에서 입력 형식(CSV/TSV/JSONL)을 감지하고, 청크마다 완성된 행만 파싱하여 반환합니다.
+ * 파싱 리포트와 원본 입력 데이터는 전체 텍스트 파싱과 동일하게 누적됩니다.
+ * @param {string} dataType - 데이터 타입 ('word', 'sentence' 또는 'auto')
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑 (선택)
+ * @returns {Object} - { push(chunk), finish() } 각각 { word, sentence } 행 배열 반환
+ */
+function createStreamingParser(dataType = 'auto', debugLevel = 0, columnMap = null) {
+    let tokenizer = null;
+    let session = null;
+    let head = ''; // 입력 형식 감지 전까지 모아 두는 앞부분
+
+    // 입력 형식 감지에 쓸 완성된 데이터 라인(빈 줄·주석 제외)이 있는지 확인
+    const hasCompleteDataLine = (text) => text.split(/\r?\n|\r/).slice(0, -1)
+        .some(line => line.trim() && !line.trim().startsWith('-'));
+
+    const start = () => {
+        const textFormat = detectTextFormat(head);
+        tokenizer = createTokenizer(textFormat);
+        session = createParseSession(dataType, debugLevel, columnMap, textFormat);
+        const rows = tokenizer.push(head);
+        head = '';
+        return rows;
+    };
+
+    const processRows = (rows) => {
+        const records = [];
+        for (const row of rows) {
+            const record = session.processRow(row);
+            if (record) records.push(record);
+        }
+        return splitRecordsByType(records);
+    };
+
+    return {
+        push(chunk) {
+            if (tokenizer) {
+                return processRows(tokenizer.push(chunk));
+            }
+            head += chunk;
+            return hasCompleteDataLine(head) ? processRows(start()) : { word: [], sentence: [] };
+        },
+        finish() {
+            const pendingRows = tokenizer ? [] : start();
+            const rows = processRows([...pendingRows, ...tokenizer.flush()]);
+            session.finish();
+            return rows;
+        }
+    };
+}
+
+/**
+ * XLSX 로그 파싱 함수 (SheetJS 필요)
+ * 'Input_Data' 시트(엑셀 내보내기 결과)가 있으면 그 시트를, 없으면 첫 번째 시트를 읽습니다.
+ * 첫 행이 헤더면 컬럼 이름으로 매핑하고, 이후 처리는 CSV/TSV와 동일합니다.
+ * @param {ArrayBuffer} data - XLSX 파일 데이터
+ * @param {string} dataType - 데이터 타입 ('word', 'sentence' 또는 'auto')
+ * @param {number} debugLevel - 디버그 레벨 (0: 기본, 1: 상세, 2: 모든 로그)
+ * @param {Object|null} columnMap - 헤더가 없을 때 사용할 컬럼 매핑 (선택)
+ * @returns {Object} - { word: 단어 데이터 배열, sentence: 문장 데이터 배열 }
+ */
+function parseWorkbookData(data, dataType = 'auto', debugLevel = 2, columnMap = null) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error('XLSX 파일을 읽으려면 SheetJS 라이브러리가 필요합니다.');
+    }
+
+    const workbook = XLSX.read(data, { type: 'array' });
+    const sheetName = workbook.SheetNames.includes('Input_Data') ? 'Input_Data' : workbook.SheetNames[0];
+    const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false, defval: '', blankrows: true });
+
     if (debugLevel >= 1) {
-        console.log('=== 문장 데이터 파싱 결과 요약 ===');
-        console.log(`전체 라인 수: ${totalLines}`);
-        console.log(`성공적으로 파싱된 레코드: ${data.length}`);
-        console.log(`건너뛴 빈 줄: ${skippedEmptyLines}`);
-        console.log(`건너뛴 주석 라인: ${skippedCommentLines}`);
-        console.log(`건너뛴 유효하지 않은 라인: ${skippedInvalidLines}`);
-        console.log(`사용된 구분자: '${delimiter === '\t' ? 'TAB' : 'COMMA'}'`);
-        console.log('====================');
+        console.log(`XLSX 시트 "${sheetName}" 읽기: ${sheetRows.length}행`);
     }
 
-    return data;
+    const session = createParseSession(dataType, debugLevel, columnMap, { format: 'XLSX', delimiter: null });
+    const records = [];
+    sheetRows.forEach((sheetRow, index) => {
+        const cells = sheetRow.map(cell => String(cell));
+        const record = session.processRow({ cells, lineNumber: index + 1, raw: cells.join('\t'), error: null });
+        if (record) records.push(record);
+    });
+
+    session.finish();
+    return splitRecordsByType(records);
+}
+
+/**
+ * 후보 중복 제거용 정규화 키 생성
+ * 유니코드 NFC, 전각 문자 → 반각, 문장부호 제거, 공백 제거를 적용합니다.
+ * 예: "도어캠", "도어 캠", " 도어캠", "도어캠." → "도어캠"
+ * @param {string} text - 사용자 답변 원문
+ * @returns {string} - 정규화 키 (정규화 결과가 비면 앞뒤 공백만 제거한 원문)
+ */
+function normalizeCandidateKey(text) {
+    const normalized = (text || '')
+        .normalize('NFC')
+        .replace(/[\uFF01-\uFF5E]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+        .replace(/\u3000/g, ' ')
+        .replace(/\p{P}/gu, '')
+        .replace(/\s+/g, '');
+    return normalized || (text || '').trim();
+}
+
+/**
+ * 후보에 원문 표기 변형 추가
+ * 가장 많이 나온 변형을 대표 표기(candidate_word)로 사용합니다 (동률이면 먼저 나온 변형).
+ * @param {Object} candidate - 그룹핑된 후보
+ * @param {string} text - 사용자 답변 원문
+ */
+function addCandidateVariant(candidate, text) {
+    const variant = candidate.variants.find(v => v.text === text);
+    if (variant) {
+        variant.frequency += 1;
+    } else {
+        candidate.variants.push({ text: text, frequency: 1 });
+    }
+
+    const representative = candidate.variants.reduce((best, v) => v.frequency > best.frequency ? v : best);
+    candidate.candidate_word = representative.text;
+}
+
+/**
+ * 후보에 로그별 판정 기록 추가
+ * 병합된 모든 로그의 판정으로 pass_ratio와 origin_judge('true', 'false', 'mixed')를 다시 계산합니다.
+ * @param {Object} candidate - 그룹핑된 후보
+ * @param {Object} row - 파싱된 데이터 행
+ */
+function addCandidateLog(candidate, row) {
+    candidate.logs.push({
+        log_id: row.id,
+        user_id: parseInt(row.user_id),
+        version: row.version || '',
+        pass: row.origin_judge,
+        fail_reason: row.description || ''
+    });
+
+    const passCount = candidate.logs.filter(log => log.pass).length;
+    candidate.pass_ratio = passCount / candidate.logs.length;
+    candidate.origin_judge = passCount === candidate.logs.length ? "true" : passCount === 0 ? "false" : "mixed";
 }
 
 /**
  * 단어 데이터 그룹핑 함수 (expected_answer별로 그룹핑)
  * @param {Array} data - 파싱된 데이터 배열
+ * @param {Object} grouped - 누적할 그룹 객체 (청크 단위 그룹핑 시 같은 객체를 계속 전달)
  * @returns {Array} - 그룹핑된 데이터 배열
  */
-function groupWordData(data) {
-    const grouped = {};
-
+function groupWordData(data, grouped = {}) {
     for (const row of data) {
         if (!row.answer || !row.user_answer) continue;
 
@@ -238,19 +929,28 @@ function groupWordData(data) {
             };
         }
 
-        // 중복 제거를 위해 기존 후보 중에서 같은 user_answer가 있는지 확인
-        const existingCandidate = grouped[key].candidates.find(c => c.candidate_word === row.user_answer);
+        // 중복 제거를 위해 기존 후보 중에서 정규화 키가 같은 user_answer가 있는지 확인
+        const candidateKey = normalizeCandidateKey(row.user_answer);
+        const existingCandidate = grouped[key].candidates.find(c => c.normalized_key === candidateKey);
         if (existingCandidate) {
             existingCandidate.log_id.push(parseInt(row.user_id));
             existingCandidate.frequency += 1;
+            addCandidateVariant(existingCandidate, row.user_answer);
+            addCandidateLog(existingCandidate, row);
         } else {
-            grouped[key].candidates.push({
+            const candidate = {
                 log_id: [parseInt(row.user_id)],
                 candidate_word: row.user_answer,
+                normalized_key: candidateKey,
+                variants: [{ text: row.user_answer, frequency: 1 }],
                 similarity: 0, // 임베딩 계산 후 업데이트
                 origin_judge: row.origin_judge ? "true" : "false",
+                pass_ratio: 0,
+                logs: [], // 로그별 판정 기록 (log_id, user_id, version, pass, fail_reason)
                 frequency: 1
-            });
+            };
+            addCandidateLog(candidate, row);
+            grouped[key].candidates.push(candidate);
         }
     }
 
@@ -260,11 +960,10 @@ function groupWordData(data) {
 /**
  * 문장 데이터 그룹핑 함수 (키워드별로 그룹핑)
  * @param {Array} data - 파싱된 데이터 배열
+ * @param {Object} grouped - 누적할 그룹 객체 (청크 단위 그룹핑 시 같은 객체를 계속 전달)
  * @returns {Array} - 그룹핑된 데이터 배열
  */
-function groupSentenceData(data) {
-    const grouped = {};
-
+function groupSentenceData(data, grouped = {}) {
     for (const row of data) {
         if (!row.answer || !row.user_answer || !row.keyword) continue;
 
@@ -277,27 +976,44 @@ function groupSentenceData(data) {
             };
         }
 
-        // 중복 제거를 위해 기존 후보 중에서 같은 user_answer가 있는지 확인
-        const existingCandidate = grouped[key].candidates.find(c => c.candidate_word === row.user_answer);
+        // 중복 제거를 위해 기존 후보 중에서 정규화 키가 같은 user_answer가 있는지 확인
+        const candidateKey = normalizeCandidateKey(row.user_answer);
+        const existingCandidate = grouped[key].candidates.find(c => c.normalized_key === candidateKey);
         if (existingCandidate) {
             existingCandidate.log_id.push(parseInt(row.user_id));
             existingCandidate.frequency += 1;
+            addCandidateVariant(existingCandidate, row.user_answer);
+            addCandidateLog(existingCandidate, row);
         } else {
-            grouped[key].candidates.push({
+            const candidate = {
                 log_id: [parseInt(row.user_id)],
                 candidate_word: row.user_answer,
+                normalized_key: candidateKey,
+                variants: [{ text: row.user_answer, frequency: 1 }],
                 keyword: row.keyword,
                 keyword_included: false, // 키워드 포함 여부 (나중에 계산)
                 similarity: 0, // 임베딩 계산 후 업데이트
                 origin_judge: row.origin_judge ? "true" : "false",
+                pass_ratio: 0,
+                logs: [], // 로그별 판정 기록 (log_id, user_id, version, pass, fail_reason)
                 frequency: 1
-            });
+            };
+            addCandidateLog(candidate, row);
+            grouped[key].candidates.push(candidate);
         }
     }
 
     return Object.values(grouped);
 }
 
+/**
+ * 마지막 파싱의 진단 리포트 반환 함수
+ * @returns {Object} - { data_type, format, delimiter, header_detected, total_rows, parsed_rows, type_counts, counts, issues: [{ row_number, raw_line, reason, reason_label, detail }] }
+ */
+function getParseReport() {
+    return parseReport;
+}
+
 /**
  * 원본 입력 데이터 반환 함수
  * @returns {Array} - 원본 입력 데이터
@@ -310,20 +1026,46 @@ function getOriginalInputData() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         detectDelimiter,
+        detectTextFormat,
+        tokenizeDelimitedText,
+        detectHeaderRow,
+        setColumnMap,
+        getColumnMap,
         parseWordData,
         parseSentenceData,
+        parseMixedData,
+        createStreamingParser,
+        parseWorkbookData,
+        detectPromptDataType,
         groupWordData,
         groupSentenceData,
-        getOriginalInputData
+        normalizeCandidateKey,
+        getOriginalInputData,
+        getParseReport,
+        LOG_COLUMNS,
+        PARSE_ISSUE_LABELS
     };
 } else {
     // Browser environment - expose as global object
     window.DataParser = {
         detectDelimiter,
+        detectTextFormat,
+        tokenizeDelimitedText,
+        detectHeaderRow,
+        setColumnMap,
+        getColumnMap,
         parseWordData,
         parseSentenceData,
+        parseMixedData,
+        createStreamingParser,
+        parseWorkbookData,
+        detectPromptDataType,
         groupWordData,
         groupSentenceData,
-        getOriginalInputData
+        normalizeCandidateKey,
+        getOriginalInputData,
+        getParseReport,
+        LOG_COLUMNS,
+        PARSE_ISSUE_LABELS
     };
 }
\ No newline at end of file
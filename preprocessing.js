@@ -1,85 +1,498 @@
 
+// ===== 단위/표현 정규화 사전 (Step 2-3) =====
+// 치환 규칙은 unit-dictionary.js의 사전 데이터로 관리하며, 화면에서 JSON으로 가져온 사전은 localStorage에 저장합니다.
+
+// 사전 저장 키 (localStorage)
+const UNIT_DICTIONARY_STORAGE_KEY = "preprocessingUnitDictionary";
+
+// 기본 사전 (브라우저: unit-dictionary.js 전역, Node.js: require)
+function getDefaultUnitDictionary() {
+    if (typeof UnitDictionary !== 'undefined') return UnitDictionary.DEFAULT_UNIT_DICTIONARY;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./unit-dictionary.js').DEFAULT_UNIT_DICTIONARY;
+        } catch (e) {
+            return { version: 1, categories: [] };
+        }
+    }
+    return { version: 1, categories: [] };
+}
+
+/**
+ * 사전 구조 검사 및 정규식 컴파일
+ * @param {Object} dictionary - { version, categories: [{ id, label, step, rules: [{ pattern, flags, replacement, examples }] }] }
+ * @returns {Object} - { rules: 적용 순서대로 컴파일된 규칙 [{ step, rule, category, pattern, replacement, source }], errors }
+ */
+function compileUnitDictionary(dictionary) {
+    const rules = [];
+    const errors = [];
+
+    if (!dictionary || !Array.isArray(dictionary.categories)) {
+        return { rules, errors: ["사전에 categories 배열이 없습니다."] };
+    }
+
+    dictionary.categories.forEach((category, categoryIndex) => {
+        const name = category && (category.label || category.id) || `${categoryIndex + 1}번째 카테고리`;
+        if (!category || !category.id || !Array.isArray(category.rules)) {
+            errors.push(`${name}: id와 rules 배열이 필요합니다.`);
+            return;
+        }
+
+        category.rules.forEach((rule, ruleIndex) => {
+            if (!rule || typeof rule.pattern !== 'string' || rule.pattern === "") {
+                errors.push(`${name} ${ruleIndex + 1}번째 규칙: pattern이 없습니다.`);
+                return;
+            }
+            try {
+                rules.push({
+                    step: category.step ?? 3,
+                    rule: category.label || category.id,
+                    category: category.id,
+                    pattern: new RegExp(rule.pattern, rule.flags ?? "g"),
+                    replacement: rule.replacement ?? "",
+                    source: rule
+                });
+            } catch (error) {
+                errors.push(`${name} ${ruleIndex + 1}번째 규칙: 정규식이 올바르지 않습니다 (${rule.pattern}, ${error.message})`);
+            }
+        });
+    });
+
+    return { rules, errors };
+}
+
+/**
+ * 사전 자체 점검: 규칙마다 examples의 input에 그 규칙 하나만 적용해 expected와 비교
+ * @param {Object} dictionary - 점검할 사전 (생략하면 현재 사전)
+ * @returns {Array} - [{ category, pattern, input, expected, actual, passed }]
+ */
+function runUnitDictionaryTests(dictionary = unitDictionary) {
+    const { rules } = compileUnitDictionary(dictionary);
+    return rules.flatMap(({ category, pattern, replacement, source }) =>
+        (source.examples || []).map(example => {
+            const actual = String(example.input ?? "").replace(pattern, replacement);
+            return { category, pattern: source.pattern, input: example.input, expected: example.expected, actual, passed: actual === example.expected };
+        }));
+}
+
+let unitDictionary = getDefaultUnitDictionary();
+let unitDictionaryRules = compileUnitDictionary(unitDictionary).rules;
+
+/**
+ * 사용할 사전 교체 (구조 오류나 자체 점검 실패가 있으면 교체하지 않고 예외)
+ * @param {Object} dictionary - 새 사전
+ * @returns {Array} - 자체 점검 결과
+ */
+function setUnitDictionary(dictionary) {
+    const { rules, errors } = compileUnitDictionary(dictionary);
+    if (errors.length > 0) {
+        throw new Error(`단위/표현 사전을 적용할 수 없습니다.\n${errors.join("\n")}`);
+    }
+
+    const results = runUnitDictionaryTests(dictionary);
+    const failures = results.filter(result => !result.passed);
+    if (failures.length > 0) {
+        throw new Error(`단위/표현 사전 자체 점검 실패 ${failures.length}건:\n` + failures
+            .map(failure => `[${failure.category}] "${failure.input}" → "${failure.actual}" (기대: "${failure.expected}")`)
+            .join("\n"));
+    }
+
+    unitDictionary = JSON.parse(JSON.stringify(dictionary));
+    unitDictionaryRules = rules;
+    return results;
+}
+
+// 현재 사전 (복사본)
+function getUnitDictionary() {
+    return JSON.parse(JSON.stringify(unitDictionary));
+}
+
+// 현재 사전을 JSON 문자열로 내보내기
+function exportUnitDictionary() {
+    return JSON.stringify(unitDictionary, null, 2);
+}
+
+// JSON 문자열로 사전 가져오기 후 저장 (점검 결과 반환)
+function importUnitDictionary(jsonText) {
+    let dictionary;
+    try {
+        dictionary = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`사전 JSON을 읽을 수 없습니다: ${error.message}`);
+    }
+    const results = setUnitDictionary(dictionary);
+
+    const storage = getLocalStorage();
+    if (storage) storage.setItem(UNIT_DICTIONARY_STORAGE_KEY, exportUnitDictionary());
+    return results;
+}
+
+// 기본 사전으로 복원 (저장된 사전 삭제)
+function resetUnitDictionary() {
+    setUnitDictionary(getDefaultUnitDictionary());
+    const storage = getLocalStorage();
+    if (storage) storage.removeItem(UNIT_DICTIONARY_STORAGE_KEY);
+}
+
+// 저장된 사전 불러오기 (없거나 잘못되었으면 기본 사전 유지, 오류 목록 반환)
+function loadUnitDictionary() {
+    const storage = getLocalStorage();
+    const saved = storage ? storage.getItem(UNIT_DICTIONARY_STORAGE_KEY) : null;
+    if (!saved) return [];
+
+    try {
+        setUnitDictionary(JSON.parse(saved));
+        return [];
+    } catch (error) {
+        return [`저장된 단위/표현 사전을 사용할 수 없어 기본 사전을 사용합니다: ${error.message}`];
+    }
+}
+
+/**
+ * 전처리 추적 항목 추가
+ * @param {Array|null} trace - 추적 배열 (null이면 기록하지 않음)
+ * @param {Object} entry - { step, rule, before, after, start, input }
+ *   input은 규칙 적용 직전의 전체 텍스트, start는 input 안에서 바뀐 부분의 시작 위치
+ */
+function pushTraceEntry(trace, { step, rule, before, after, start, input }) {
+    if (!trace || before === after) return;
+    trace.push({ step, rule, before, after, span: [start, start + before.length], input });
+}
+
+// 치환 문자열의 $1, $&, $$를 실제 값으로 펼침
+function expandReplacement(replacement, match, groups) {
+    return replacement.replace(/\$(\$|&|\d)/g, (_, token) => {
+        if (token === '$') return '$';
+        if (token === '&') return match;
+        return groups[Number(token) - 1] ?? "";
+    });
+}
+
+/**
+ * 추적을 기록하면서 정규식 치환 (trace가 없으면 일반 replace와 동일)
+ * @param {string} text - 입력 텍스트
+ * @param {RegExp} pattern - 정규식
+ * @param {string|Function} replacement - 치환 문자열 또는 함수
+ * @param {Array|null} trace - 추적 배열
+ * @param {Object} info - { step, rule }
+ * @returns {string}
+ */
+function tracedReplace(text, pattern, replacement, trace, info) {
+    if (!trace) return text.replace(pattern, replacement);
+
+    return text.replace(pattern, (match, ...rest) => {
+        const hasNamedGroups = typeof rest[rest.length - 1] === 'object';
+        const offset = rest[rest.length - (hasNamedGroups ? 3 : 2)];
+        const groups = rest.slice(0, rest.length - (hasNamedGroups ? 3 : 2));
+        const after = typeof replacement === 'function'
+            ? replacement(match, ...rest)
+            : expandReplacement(replacement, match, groups);
+        pushTraceEntry(trace, { ...info, before: match, after, start: offset, input: text });
+        return after;
+    });
+}
+
 // 기본 전처리 (Step 1-3): 한글숫자→아라비아숫자, 소수점 정규화, 단위 정규화
-function applyBasePreprocessing(text) {
+// trace 배열을 넘기면 적용된 규칙을 { step, rule, before, after, span, input } 형태로 기록합니다.
+function applyBasePreprocessing(text, trace = null) {
     let t = text.trim();
 
-    // Step 1. 독립된 한글 숫자만 → 아라비아 숫자
-    const mapKoreanToDigit = {
-        "영": "0", "공": "0",
-        "일": "1", "하나": "1",
-        "이": "2", "둘": "2",
-        "삼": "3", "셋": "3",
-        "사": "4", "넷": "4",
-        "오": "5", "다섯": "5",
-        "육": "6", "여섯": "6",
-        "칠": "7", "일곱": "7",
-        "팔": "8", "여덟": "8",
-        "구": "9", "아홉": "9",
-        "십": "10", "열": "10"
-    };
+    // Step 1. 한글 숫자 표현 → 아라비아 숫자 (복합 수사, 고유어 수사, 만/억 단위, 소수점 포함)
+    t = convertKoreanNumerals(t, trace);
 
-    for (const [k, v] of Object.entries(mapKoreanToDigit)) {
-        t = t.replace(new RegExp(`\\b${k}\\b|(?<=\\s)${k}(?=\\s)|^${k}(?=\\s)|(?<=\\s)${k}$|^${k}$`, "g"), v);
-    }
-
-    // Step 2. 소수점 표현 정규화
-    t = t.replace(/(\d+)\s*(점|쩜|dot|point)\s*(\d+)/gi, "$1.$3");
-    t = t.replace(/\b(점|쩜|dot|point)\b/gi, ".");
-
-    // Step 3. 단위 정규화
-    // 길이/거리 단위
-    t = t.replace(/\b(밀리미터)\b/gi, "미리");
-    t = t.replace(/\b(센티미터)\b/gi, "센치");
-    t = t.replace(/\b(meter|미터)\b/gi, "미터");
-    t = t.replace(/\b(킬로미터)\b/gi, "킬로미터");
-    t = t.replace(/\b(inch|인치)\b/gi, "인치");
-    t = t.replace(/(\d+)\s*mm\b/gi, "$1미리");
-    t = t.replace(/(\d+)\s*cm\b/gi, "$1센치");
-    t = t.replace(/(\d+)\s*m\b/gi, "$1미터");
-    t = t.replace(/(\d+)\s*km\b/gi, "$1킬로미터");
-
-    // 무게 단위
-    t = t.replace(/\b(gram|그램)\b/gi, "그램");
-    t = t.replace(/\b(킬로그램)\b/gi, "킬로그램");
-    t = t.replace(/\b(밀리그램)\b/gi, "밀리그램");
-    t = t.replace(/(\d+)\s*g\b/gi, "$1그램");
-    t = t.replace(/(\d+)\s*kg\b/gi, "$1킬로그램");
-    t = t.replace(/(\d+)\s*mg\b/gi, "$1밀리그램");
-
-    // 시간 단위
-    t = t.replace(/\b(second|초)\b/gi, "초");
-    t = t.replace(/\b(minute|분)\b/gi, "분");
-    t = t.replace(/\b(hour|시간)\b/gi, "시간");
-    t = t.replace(/(\d+)\s*sec\b/gi, "$1초");
-    t = t.replace(/(\d+)\s*min\b/gi, "$1분");
-    t = t.replace(/(\d+)\s*hr\b/gi, "$1시간");
-
-    // 용량/부피 단위
-    t = t.replace(/\b(밀리리터)\b/gi, "밀리리터");
-    t = t.replace(/\b(liter|리터)\b/gi, "리터");
-    t = t.replace(/(\d+)\s*ml\b/gi, "$1밀리리터");
-    t = t.replace(/(\d+)\s*l\b/gi, "$1리터");
-
-    // 퍼센트 단위
-    t = t.replace(/\b(percent|퍼센트)\b/gi, "퍼센트");
-    t = t.replace(/%/g, "퍼센트");
-
-    // 디지털 용량 단위
-    t = t.replace(/\b기가\b/gi, "기가");
-    t = t.replace(/\b메가\b/gi, "메가");
-    t = t.replace(/\b킬로\b/gi, "킬로");
-    t = t.replace(/\b테라\b/gi, "테라");
-    t = t.replace(/(\d+)\s*gb\b/gi, "$1기가");
-    t = t.replace(/(\d+)\s*mb\b/gi, "$1메가");
-    t = t.replace(/(\d+)\s*kb\b/gi, "$1킬로");
-    t = t.replace(/(\d+)\s*tb\b/gi, "$1테라");
+    // Step 2-3. 소수점 표현 정규화, 단위/표현 정규화 (단위/표현 사전 순서대로)
+    unitDictionaryRules.forEach(({ step, rule, pattern, replacement }) => {
+        t = tracedReplace(t, pattern, replacement, trace, { step, rule });
+    });
 
     return t;
 }
 
+// 한자어 수사 (숫자, 자릿수, 큰 단위)
+const SINO_DIGITS = {
+    "영": 0, "공": 0, "일": 1, "이": 2, "삼": 3, "사": 4,
+    "오": 5, "육": 6, "륙": 6, "칠": 7, "팔": 8, "구": 9
+};
+const SINO_PLACES = { "십": 10, "백": 100, "천": 1000 };
+const SINO_BIG_UNITS = { "만": 10000, "억": 100000000, "조": 1000000000000 };
+
+// 고유어 수사 (십의 자리 + 일의 자리, 한/두/세/네는 관형사형이라 십의 자리 뒤에서만 허용)
+const NATIVE_TENS = {
+    "열": 10, "스물": 20, "스무": 20, "서른": 30, "마흔": 40,
+    "쉰": 50, "예순": 60, "일흔": 70, "여든": 80, "아흔": 90
+};
+const NATIVE_ONES = {
+    "하나": 1, "둘": 2, "셋": 3, "넷": 4, "다섯": 5,
+    "여섯": 6, "일곱": 7, "여덟": 8, "아홉": 9
+};
+const NATIVE_MODIFIER_ONES = { "한": 1, "두": 2, "세": 3, "네": 4 };
+
+// 숫자로 읽히지만 일반 단어로 더 자주 쓰이는 표현 (변환하지 않음)
+const KOREAN_NUMERAL_STOPWORDS = ["만", "억", "조", "이만", "일조", "천사"];
+
+// 수사 뒤에 붙는 단위: 측정 단위는 한 글자 수사(팔인치)에도, 세는 단위는 두 글자 이상 수사(이십원)에만 적용
+// ("사원", "이번", "구명"처럼 한 글자 수사 + 세는 단위가 일반 단어인 경우가 많기 때문)
+const NUMERAL_MEASURE_UNITS = [
+    "밀리미터", "센티미터", "킬로미터", "킬로그램", "밀리그램", "밀리리터",
+    "미터", "센치", "센티", "미리", "인치", "킬로", "그램", "리터",
+    "퍼센트", "프로", "기가", "메가", "테라"
+];
+const NUMERAL_COUNTERS = ["시간", "달러", "원", "개", "명", "번", "살", "세", "시", "분", "초", "년", "월", "일", "배", "층", "대", "장", "권", "회"];
+
+/**
+ * 한자어 수사 파싱 (아라비아 숫자와 섞인 표현 포함: "사천사백", "4천", "2만5천", "이십오")
+ * @param {string} text - 수사 문자열
+ * @returns {Object|null} - { value, lowestPlace } 또는 파싱 불가 시 null
+ */
+function parseSinoKoreanNumber(text) {
+    const unitPattern = /(\d+(?:\.\d+)?)|([영공일이삼사오육륙칠팔구])|([십백천])|([만억조])/y;
+    let total = 0;
+    let section = 0;
+    let current = null;
+    let lastPlace = Infinity;
+    let lastBigUnit = Infinity;
+    let lowestPlace = 1;
+    let hasKorean = false;
+    let pos = 0;
+
+    while (pos < text.length) {
+        unitPattern.lastIndex = pos;
+        const match = unitPattern.exec(text);
+        if (!match) return null;
+        pos = unitPattern.lastIndex;
+
+        const [, arabic, digit, place, bigUnit] = match;
+        if (arabic !== undefined || digit !== undefined) {
+            // 숫자가 연속으로 나오면 수사가 아님 ("이사", "오이")
+            if (current !== null) return null;
+            current = arabic !== undefined ? parseFloat(arabic) : SINO_DIGITS[digit];
+            lowestPlace = 1;
+            hasKorean = hasKorean || digit !== undefined;
+        } else if (place !== undefined) {
+            const placeValue = SINO_PLACES[place];
+            if (placeValue >= lastPlace) return null;
+            section += (current === null ? 1 : current) * placeValue;
+            current = null;
+            lastPlace = placeValue;
+            lowestPlace = placeValue;
+            hasKorean = true;
+        } else {
+            const unitValue = SINO_BIG_UNITS[bigUnit];
+            if (unitValue >= lastBigUnit) return null;
+            const sectionValue = section + (current === null ? 0 : current);
+            total += (sectionValue === 0 ? 1 : sectionValue) * unitValue;
+            section = 0;
+            current = null;
+            lastPlace = Infinity;
+            lastBigUnit = unitValue;
+            lowestPlace = unitValue;
+            hasKorean = true;
+        }
+    }
+
+    if (!hasKorean) return null;
+
+    const value = total + section + (current === null ? 0 : current);
+    return { value: Math.round(value * 1e6) / 1e6, lowestPlace };
+}
+
+/**
+ * 고유어 수사 파싱 ("하나", "스물셋", "열두", "서른")
+ * @param {string} text - 수사 문자열
+ * @returns {number|null} - 값 또는 파싱 불가 시 null
+ */
+function parseNativeKoreanNumber(text) {
+    for (const [tens, tensValue] of Object.entries(NATIVE_TENS)) {
+        if (!text.startsWith(tens)) continue;
+        const rest = text.slice(tens.length);
+        if (rest === "") return tensValue;
+        const ones = NATIVE_ONES[rest] || NATIVE_MODIFIER_ONES[rest];
+        if (ones) return tensValue + ones;
+    }
+    return NATIVE_ONES[text] || null;
+}
+
+/**
+ * 한글 수사 하나를 숫자로 파싱 (한자어, 고유어, 소수점 "삼점오")
+ * @param {string} text - 공백 없는 수사 문자열
+ * @returns {Object|null} - { text: 숫자 문자열, value, lowestPlace, mergeable } 또는 null
+ *   mergeable: 뒤따르는 더 작은 자릿수 표현과 합칠 수 있는지 ("4천 사백" → 4400)
+ */
+function parseKoreanNumeral(text) {
+    if (!text || KOREAN_NUMERAL_STOPWORDS.includes(text) || /^\d+(\.\d+)?$/.test(text)) return null;
+
+    // 소수점: 정수부는 수사, 소수부는 숫자를 하나씩 읽은 것 ("삼점일사" → 3.14)
+    const decimalMatch = text.match(/^(.+)[점쩜]([영공일이삼사오육륙칠팔구\d]+)$/);
+    if (decimalMatch) {
+        const integerPart = /^\d+$/.test(decimalMatch[1]) ? { value: parseInt(decimalMatch[1], 10) } : parseSinoKoreanNumber(decimalMatch[1]);
+        if (!integerPart || !Number.isInteger(integerPart.value)) return null;
+        const fraction = decimalMatch[2].split('').map(ch => /\d/.test(ch) ? ch : SINO_DIGITS[ch]).join('');
+        return { text: `${integerPart.value}.${fraction}`, value: parseFloat(`${integerPart.value}.${fraction}`), lowestPlace: 0, mergeable: false };
+    }
+
+    const nativeValue = parseNativeKoreanNumber(text);
+    if (nativeValue !== null) {
+        return { text: String(nativeValue), value: nativeValue, lowestPlace: 1, mergeable: false };
+    }
+
+    const sino = parseSinoKoreanNumber(text);
+    if (sino) {
+        return { text: String(sino.value), value: sino.value, lowestPlace: sino.lowestPlace, mergeable: Number.isInteger(sino.value) };
+    }
+
+    return null;
+}
+
+/**
+ * 수사 + 단위 토큰 파싱 ("팔인치", "삼점오미터", "이십원")
+ * @param {string} token - 공백 없는 토큰
+ * @returns {Object|null} - { numeral, suffix } 또는 null
+ */
+function parseKoreanNumeralWithUnit(token) {
+    const numeral = parseKoreanNumeral(token);
+    if (numeral) return { numeral, suffix: "" };
+
+    const units = [...NUMERAL_MEASURE_UNITS, ...NUMERAL_COUNTERS].sort((a, b) => b.length - a.length);
+    for (const unit of units) {
+        if (!token.endsWith(unit) || token.length === unit.length) continue;
+        const head = token.slice(0, -unit.length);
+        const headNumeral = parseKoreanNumeral(head);
+        if (!headNumeral) continue;
+
+        const isSingleSyllable = head.length === 1;
+        if (isSingleSyllable && !NUMERAL_MEASURE_UNITS.includes(unit)) continue;
+        return { numeral: headNumeral, suffix: unit };
+    }
+    return null;
+}
+
+// 어절 전체가 단위인지 ("미터", "일"; 두 글자 이상 단위는 조사가 붙어도 인정 "미터에서")
+function isNumeralUnitWord(word) {
+    return [...NUMERAL_MEASURE_UNITS, ...NUMERAL_COUNTERS]
+        .some(unit => word === unit || (unit.length >= 2 && word.startsWith(unit)));
+}
+
+// 띄어 쓴 수사 앞뒤에 숫자로 읽을 근거가 있는지
+// 뒤 어절이 숫자, 단위, 점/쩜이거나 근거가 있는 다른 수사일 때, 또는 앞 어절이 점/쩜일 때 ("오 미터", "삼십 일", "삼 점 오", "사천 사백 원")
+// "이 제품은", "일 처리", "천사 인형"처럼 뒤에 근거가 없으면 일반 단어로 봅니다.
+function hasNumeralContext(words, index) {
+    const previous = words[index - 1];
+    const next = words[index + 1];
+    if (previous !== undefined && /^[점쩜]$/.test(previous)) return true;
+    if (next === undefined) return false;
+    if (/^\d/.test(next) || /^[점쩜][영공일이삼사오육륙칠팔구\d]*$/.test(next) || isNumeralUnitWord(next)) return true;
+
+    const parsed = parseKoreanNumeralWithUnit(next);
+    if (!parsed) return false;
+    return parsed.suffix !== "" || /[\d점쩜]/.test(next) || hasNumeralContext(words, index + 1);
+}
+
+// 앞 수사에 붙여 읽을지 애매한 한 글자 수사 ("삼십 일"의 '일'은 날짜 단위, "삼십 이 제품"의 '이'는 관형사일 수 있음)
+const AMBIGUOUS_TRAILING_NUMERALS = ["일", "이"];
+
+// 띄어 쓴 한 글자 수사를 숫자로 볼지 (afterNumeral: 앞 어절이 숫자/수사인지)
+// 어절 하나뿐이거나 문장 끝이면 변환하고 ("팔", "사이즈 팔"), 문장 중간이면 앞뒤에 근거가 있을 때만 변환합니다. ("오 일 후", "이 제품은"/"일 처리" 유지)
+// 수사 뒤의 세는 단위("삼십 일"의 '일')와 문장 중간의 자릿수 글자 하나("백 미터")는 변환하지 않습니다.
+function isStandaloneDigitNumeral(words, index, afterNumeral) {
+    const word = words[index];
+    if (afterNumeral && NUMERAL_COUNTERS.includes(word)) return false;
+    if (index === words.length - 1) return true;
+    return SINO_PLACES[word] === undefined && hasNumeralContext(words, index);
+}
+
+/**
+ * 텍스트 내 한글 수사를 아라비아 숫자로 변환
+ * - 한자어 복합 수사: "사천사백" → "4400", "이십오" → "25"
+ * - 숫자+자릿수 혼합: "4천" → "4000", "2만5천" → "25000"
+ * - 고유어 수사: "스물셋" → "23", "열두" → "12"
+ * - 소수점: "삼점오" → "3.5"
+ * - 띄어 쓴 자릿수 결합: 다음 토큰 값이 앞 토큰의 가장 낮은 자릿수보다 작으면 합침 ("4천 사백" → "4400")
+ * - 여러 글자 수사와 고유어 수사는 항상 변환 ("사천사백" → "4400", "스물셋" → "23")
+ * - 띄어 쓴 한 글자 수사는 어절 하나뿐이거나 문장 끝일 때, 문장 중간이면 근거가 있을 때만 변환 (isStandaloneDigitNumeral, "이 제품은" 유지)
+ * - 앞 수사 뒤의 '일'/'이'는 근거가 있거나 문장 끝일 때만 합치고, 세는 단위 '일'은 그대로 둠 ("삼십 일" → "30 일", "삼십 이" → "32")
+ * @param {string} text - 입력 텍스트
+ * @returns {string} - 변환된 텍스트
+ */
+function convertKoreanNumerals(text, trace = null) {
+    const pieces = text.split(/(\s+)/);
+    const words = pieces.filter(piece => piece !== "" && !/^\s+$/.test(piece)).map(piece => piece.match(/^(.*?)[,!?~…]*$/)[1]);
+    let wordIndex = -1;
+    const output = [];
+    const entries = []; // 추적 항목 (결합 시 직전 항목을 넓힘)
+    let previous = null; // 직전에 변환된 수사 토큰 { index, numeral, entry } (결합 대상)
+    let afterNumeral = false; // 직전 어절이 숫자이거나 변환된 수사인지
+    let offset = 0; // 원문에서 현재 조각의 시작 위치
+
+    for (const piece of pieces) {
+        const start = offset;
+        offset += piece.length;
+
+        if (piece === "" || /^\s+$/.test(piece)) {
+            output.push(piece);
+            continue;
+        }
+
+        // 토큰 끝의 문장부호는 분리해서 보존
+        const [, core, trailing] = piece.match(/^(.*?)([,!?~…]*)$/);
+        wordIndex++;
+        const parsed = parseKoreanNumeralWithUnit(core);
+
+        if (!parsed) {
+            output.push(piece);
+            previous = null;
+            afterNumeral = /^\d+(\.\d+)?$/.test(core);
+            continue;
+        }
+
+        const { numeral, suffix } = parsed;
+        const isLastWord = wordIndex === words.length - 1;
+        const isSingleSyllable = suffix === "" && core.length === 1;
+        const canMerge = previous && previous.index === output.length - 2 &&
+            numeral.mergeable && numeral.value < previous.numeral.lowestPlace &&
+            (!AMBIGUOUS_TRAILING_NUMERALS.includes(core) || hasNumeralContext(words, wordIndex) ||
+                (isLastWord && !NUMERAL_COUNTERS.includes(core)));
+        const canStart = !isSingleSyllable || isStandaloneDigitNumeral(words, wordIndex, afterNumeral);
+
+        if (!canMerge && !canStart) {
+            output.push(piece);
+            previous = null;
+            afterNumeral = false;
+            continue;
+        }
+        afterNumeral = true;
+
+        if (canMerge) {
+            const merged = {
+                value: previous.numeral.value + numeral.value,
+                lowestPlace: numeral.lowestPlace,
+                mergeable: true
+            };
+            merged.text = String(merged.value);
+            output.pop(); // 사이 공백 제거
+            output[previous.index] = merged.text + suffix + trailing;
+
+            const entry = previous.entry;
+            entry.before = text.slice(entry.start, start + core.length);
+            entry.after = merged.text + suffix;
+            previous = suffix || trailing ? null : { index: previous.index, numeral: merged, entry };
+        } else {
+            output.push(numeral.text + suffix + trailing);
+            const entry = { before: core, after: numeral.text + suffix, start };
+            entries.push(entry);
+            previous = numeral.mergeable && !suffix && !trailing ? { index: output.length - 1, numeral, entry } : null;
+        }
+    }
+
+    entries.forEach(entry => pushTraceEntry(trace, { step: 1, rule: "한글 수사 → 숫자", ...entry, input: text }));
+
+    return output.join("");
+}
+
 // 이중 전처리: 두 가지 버전 생성 (숫자 유지 + 한글 변환)
-function preprocessLearningTextDual(text, debugLevel = 0) {
-    if (!text) return { numericVersion: "", koreanVersion: "" };
+// options.trace가 true이면 적용된 규칙 목록(trace)을 함께 반환합니다. (Step 1-3 항목은 step 1~3, Step 4 항목은 step 4)
+function preprocessLearningTextDual(text, debugLevel = 0, options = {}) {
+    if (!text) return options.trace ? { numericVersion: "", koreanVersion: "", trace: [] } : { numericVersion: "", koreanVersion: "" };
+    const trace = options.trace ? [] : null;
 
     const originalText = text.trim();
     if (debugLevel >= 2) {
@@ -87,11 +500,11 @@ function preprocessLearningTextDual(text, debugLevel = 0) {
     }
 
     // Step 1-3까지는 공통 적용
-    let baseProcessed = applyBasePreprocessing(originalText, debugLevel);
+    let baseProcessed = applyBasePreprocessing(originalText, trace);
 
     // 두 가지 버전 생성
     const numericVersion = baseProcessed; // Step 1-3만 적용 (숫자 유지)
-    const koreanVersion = numberToKorean(baseProcessed, debugLevel); // Step 4까지 적용 (한글 변환)
+    const koreanVersion = numberToKorean(baseProcessed, debugLevel, trace); // Step 4까지 적용 (한글 변환)
 
     if (debugLevel >= 2) {
         console.log(`이중 전처리 완료:`);
@@ -99,7 +512,7 @@ function preprocessLearningTextDual(text, debugLevel = 0) {
         console.log(`  한글 변환 버전: "${originalText}" → "${koreanVersion}"`);
     }
 
-    return { numericVersion, koreanVersion };
+    return trace ? { numericVersion, koreanVersion, trace } : { numericVersion, koreanVersion };
 }
 
 // 기존 함수는 호환성을 위해 유지 (한글 변환 버전 반환으로 복원)
@@ -110,21 +523,32 @@ function preprocessLearningText(text, debugLevel) {
 }
 
 // 숫자 → 한글 변환 함수 (텍스트 내 모든 숫자 패턴을 찾아서 변환)
-function numberToKorean(text, debugLevel = 0) {
+// 단위/표현 사전의 모델명(model) 카테고리가 붙여 쓴 모델명 ("S25", "Z5")
+// 모델명의 숫자는 수량이 아니므로 Step 4에서 한글로 읽지 않습니다. ("S25" → "S이십오" 방지)
+const MODEL_CODE_PATTERN = /\b[A-Z]{1,2}\d{1,3}(?![\d.가-힣])/;
+
+function numberToKorean(text, debugLevel = 0, trace = null) {
     if (!text || typeof text !== 'string') {
         console.error('숫자 → 한글 변환 함수 에러 : ', text)
         return text;
     }
 
+    // 전화번호(단위/표현 사전의 010-1234-5678 형식)는 자릿수대로 읽음 (0은 "공")
+    const phoneRead = tracedReplace(text, /\b0\d{1,2}-\d{3,4}-\d{4}\b/g, (match) =>
+        match.split('-').map(part => convertDecimalToKorean(part).replace(/영/g, "공")).join(' '),
+        trace, { step: 4, rule: "숫자 → 한글 (전화번호)" });
+
     // 숫자 패턴을 찾아서 한글로 변환 (정수와 소수점 모두 지원)
-    // 단어에 붙어있는 숫자도 포함 (AI6, 8.9m 등)
-    return text.replace(/\d+(\.\d+)?/g, (match) => {
+    // 단어에 붙어있는 숫자도 포함 (8.9m 등), 모델명은 그대로 둠
+    const numberPattern = new RegExp(`${MODEL_CODE_PATTERN.source}|\\d+(\\.\\d+)?`, "g");
+    return tracedReplace(phoneRead, numberPattern, (match) => {
+        if (MODEL_CODE_PATTERN.test(match)) return match;
         const korean = convertSingleNumberToKorean(match);
         if (debugLevel >= 2) {
             console.log(`    숫자→한글 변환: "${match}" → "${korean}"`);
         }
         return korean;
-    });
+    }, trace, { step: 4, rule: "숫자 → 한글" });
 }
 
 // 개별 숫자를 한국어로 변환 (정수 + 소수점 지원)
@@ -193,16 +617,768 @@ function convertDecimalToKorean(decimalStr) {
     return decimalStr.split('').map(d => digits[parseInt(d)]).join('');
 }
 
+// 영문 알파벳 이름의 한글 읽기 (약어 음역용)
+const LATIN_LETTER_READINGS = {
+    A: "에이", B: "비", C: "씨", D: "디", E: "이", F: "에프", G: "지", H: "에이치", I: "아이",
+    J: "제이", K: "케이", L: "엘", M: "엠", N: "엔", O: "오", P: "피", Q: "큐", R: "알",
+    S: "에스", T: "티", U: "유", V: "브이", W: "더블유", X: "엑스", Y: "와이", Z: "제트"
+};
+
+// 자주 나오는 제품/기술 용어의 영문 → 한글 표기 (키는 소문자, 하이픈 제거)
+// 알파벳 이름과 다르게 읽는 약어(TV → 티비)도 여기에 둡니다.
+const TRANSLITERATION_DICTIONARY = {
+    "tv": "티비",
+    "cctv": "씨씨티비",
+    "wifi": "와이파이",
+    "bluetooth": "블루투스",
+    "snapdragon": "스냅드래곤",
+    "canva": "캔바",
+    "galaxy": "갤럭시",
+    "iphone": "아이폰",
+    "ipad": "아이패드",
+    "android": "안드로이드",
+    "google": "구글",
+    "youtube": "유튜브",
+    "chatgpt": "챗지피티",
+    "zoom": "줌",
+    "cloud": "클라우드",
+    "camera": "카메라",
+    "titanium": "티타늄",
+    "scaler": "스케일러",
+    "email": "이메일",
+    "internet": "인터넷",
+    "smart": "스마트",
+    "phone": "폰",
+    "pro": "프로",
+    "max": "맥스",
+    "ultra": "울트라",
+    "plus": "플러스",
+    "mini": "미니",
+    "app": "앱"
+};
+
+// 영문 단어 하나를 한글 읽기로 변환 (사전 → 대문자 약어 순, 해당 없으면 그대로)
+function transliterateLatinWord(word) {
+    const key = word.toLowerCase().replace(/-/g, "");
+    if (TRANSLITERATION_DICTIONARY[key]) return TRANSLITERATION_DICTIONARY[key];
+
+    if (word === word.toUpperCase()) {
+        return [...word].map(letter => LATIN_LETTER_READINGS[letter] || letter).join("");
+    }
+
+    return word;
+}
+
+// 영문/약어 → 한글 읽기 ("CCTV" → "씨씨티비", "WiFi" → "와이파이")
+function transliterateToHangul(text, trace = null) {
+    if (!text || typeof text !== 'string') return text;
+    return tracedReplace(text, /[A-Za-z]+(?:-[A-Za-z]+)*/g, (word) => transliterateLatinWord(word), trace,
+        { step: "translit", rule: "음역 통일" });
+}
+
+// 음역 통일 전처리: Step 1-3 적용 후 영문/약어를 한글 읽기로 통일
+function applyTransliterationPreprocessing(text, trace = null) {
+    return transliterateToHangul(applyBasePreprocessing(text, trace), trace);
+}
+
+// 역방향 음역에서 알파벳 이름 읽기로 복원할 약어 (허용 목록에 있는 약어만 복원)
+// 알파벳 이름으로 아무 한글이나 쪼개면 일반 단어가 깨지므로 ("비디오" → "BDO") 목록 밖의 읽기는 복원하지 않습니다.
+const LATIN_ACRONYM_ALLOWLIST = ["USB", "AI", "GPS", "LED", "OLED", "SSD", "HDMI", "NFC", "LTE", "PC", "QR", "SD"];
+
+// 한글 표기 → 영문 표기 (용어 사전 + 허용 약어의 알파벳 이름 읽기)
+const LATIN_SPELLINGS = {
+    ...Object.fromEntries(LATIN_ACRONYM_ALLOWLIST.map(acronym => [transliterateLatinWord(acronym), acronym])),
+    ...Object.fromEntries(Object.entries(TRANSLITERATION_DICTIONARY).map(([latin, hangul]) => [hangul, latin]))
+};
+
+// 한글 읽기 → 영문/약어 ("씨씨티비" → "cctv", "와이파이" → "wifi", "유에스비" → "USB")
+// 어절 전체가 용어 사전 표기이거나 허용 약어의 읽기일 때만 바꾸고 ("비디오", "오디오" 유지),
+// 영문으로 적힌 사전 용어도 같은 표기로 맞춥니다. ("Wi-Fi" → "wifi", "CCTV" → "cctv")
+function transliterateToLatin(text, trace = null) {
+    if (!text || typeof text !== 'string') return text;
+
+    const normalized = tracedReplace(text, /[A-Za-z]+(?:-[A-Za-z]+)*/g, (word) => {
+        const key = word.toLowerCase().replace(/-/g, "");
+        return TRANSLITERATION_DICTIONARY[key] ? key : word;
+    }, trace, { step: "translitLatin", rule: "영문 표기 통일" });
+    return tracedReplace(normalized, /[가-힣]+/g, (token) => LATIN_SPELLINGS[token] || token, trace,
+        { step: "translitLatin", rule: "한글 읽기 → 영문" });
+}
+
+// 역방향 음역 전처리: Step 1-3 적용 후 한글 읽기를 영문/약어 표기로 통일
+function applyLatinTransliterationPreprocessing(text, trace = null) {
+    return transliterateToLatin(applyBasePreprocessing(text, trace), trace);
+}
+
+// 조사/어미 제거 대상 기본 목록 (긴 표현부터 매칭)
+// "도", "로", "이"는 단어 끝 음절과 겹치는 경우가 많아 ("정확도", "마이크로", "고양이") 기본 목록에서 뺍니다.
+const DEFAULT_STRIPPABLE_SUFFIXES = [
+    // 조사
+    "가", "을", "를", "은", "는", "의", "에", "에서", "에게", "께", "께서", "한테",
+    "으로", "와", "과", "만", "까지", "부터", "이랑", "랑", "하고", "보다", "처럼",
+    // 종결 표현/어미
+    "이요", "요", "이에요", "예요", "입니다", "이다", "해", "해요", "합니다", "했어요", "했습니다"
+];
+
+// 앞 음절의 받침 유무에 따라 쓰임이 갈리는 조사 (true: 받침 뒤, false: 받침 없는 음절 뒤)
+// 으로/로는 ㄹ 받침 뒤에 '로'를 쓰므로 별도 처리합니다.
+const SUFFIX_FINAL_CONSONANT_RULES = {
+    "이": true, "가": false, "을": true, "를": false, "은": true, "는": false,
+    "과": true, "와": false, "이랑": true, "랑": false, "이요": true, "이에요": true, "예요": false
+};
+
+let strippableSuffixes = [...DEFAULT_STRIPPABLE_SUFFIXES];
+
+// 조사/어미 제거 목록 설정 (빈 목록이면 기본 목록으로 복원)
+function setStrippableSuffixes(suffixes) {
+    const cleaned = (suffixes || []).map(suffix => String(suffix).trim()).filter(Boolean);
+    strippableSuffixes = cleaned.length > 0 ? [...new Set(cleaned)] : [...DEFAULT_STRIPPABLE_SUFFIXES];
+}
+
+function getStrippableSuffixes() {
+    return [...strippableSuffixes];
+}
+
+// 한글 음절의 종성(받침) 인덱스 (한글 음절이 아니면 -1)
+function getFinalConsonantIndex(ch) {
+    const code = ch.charCodeAt(0);
+    if (code < 0xAC00 || code > 0xD7A3) return -1;
+    return (code - 0xAC00) % 28;
+}
+
+// 어절 끝의 조사/어미 하나 제거
+// 남는 어간이 한 글자이면서 떼는 표현도 한 글자이면 ("프로" → "프"+"로") 단어 일부로 보고 제거하지 않습니다.
+function stripKoreanSuffix(token) {
+    const candidates = strippableSuffixes
+        .filter(suffix => token.endsWith(suffix) && token.length > suffix.length)
+        .sort((a, b) => b.length - a.length);
+
+    for (const suffix of candidates) {
+        const stem = token.slice(0, -suffix.length);
+        if (stem.length < 2 && suffix.length < 2) continue;
+
+        const finalIndex = getFinalConsonantIndex(stem[stem.length - 1]);
+        if (finalIndex === -1) {
+            // 영문/숫자 뒤 조사는 읽는 법을 알 수 없으므로 받침 규칙 없이 제거 ("USB를" → "USB")
+            if (/[A-Za-z0-9]$/.test(stem)) return stem;
+            continue;
+        }
+
+        const requiresFinal = SUFFIX_FINAL_CONSONANT_RULES[suffix];
+        if (requiresFinal !== undefined && requiresFinal !== (finalIndex > 0)) continue;
+        if (suffix === "으로" && (finalIndex === 0 || finalIndex === 8)) continue; // 받침 없음/ㄹ 받침 뒤는 '로'
+        if (suffix === "로" && finalIndex > 0 && finalIndex !== 8) continue;
+
+        return stem;
+    }
+
+    return token;
+}
+
+// 어절마다 끝의 조사/어미 제거 ("클라우드를" → "클라우드", "고객님께" → "고객님")
+function stripParticlesAndEndings(text, trace = null) {
+    if (!text || typeof text !== 'string') return text;
+    return tracedReplace(text, /\S+/g, (token) => stripKoreanSuffix(token), trace,
+        { step: "particles", rule: "조사/어미 제거" });
+}
+
+// 조사/어미 제거 자체 점검 예시
+// suffix가 있는 예시는 그 표현이 제거 목록에 있을 때만 점검하고, 없는 예시(단어 일부인 음절)는 항상 점검합니다.
+const PARTICLE_STRIPPING_EXAMPLES = [
+    { input: "클라우드를", expected: "클라우드", suffix: "를" },
+    { input: "고객님께", expected: "고객님", suffix: "께" },
+    { input: "확인했습니다", expected: "확인", suffix: "했습니다" },
+    { input: "USB를", expected: "USB", suffix: "를" },
+    { input: "프로", expected: "프로" },
+    { input: "정확도", expected: "정확도" },
+    { input: "선명도", expected: "선명도" },
+    { input: "마이크로", expected: "마이크로" },
+    { input: "매크로", expected: "매크로" },
+    { input: "고양이", expected: "고양이" }
+];
+
+/**
+ * 조사/어미 제거 자체 점검: 현재 제거 목록으로 예시를 처리해 expected와 비교
+ * @returns {Array} - [{ category, pattern, input, expected, actual, passed }] (runUnitDictionaryTests와 같은 형식)
+ */
+function runParticleStrippingTests() {
+    return PARTICLE_STRIPPING_EXAMPLES
+        .filter(example => !example.suffix || strippableSuffixes.includes(example.suffix))
+        .map(example => {
+            const actual = stripKoreanSuffix(example.input);
+            return { category: "조사/어미 제거", pattern: example.suffix || "", input: example.input, expected: example.expected, actual, passed: actual === example.expected };
+        });
+}
+
+// 조사/어미 제거 전처리: Step 1-3 적용 후 어절 끝 조사/어미 제거
+function applyParticleStrippingPreprocessing(text, trace = null) {
+    return stripParticlesAndEndings(applyBasePreprocessing(text, trace), trace);
+}
+
+// ===== 띄어쓰기 정규화 =====
+// STT 결과는 띄어쓰기가 들쭉날쭉하므로 ("도어 캠프"/"도어캠프", "스냅드래 곤파에") 공백을 없애거나,
+// 알려진 정답 용어 사전으로 다시 나눠 띄어쓰기 차이를 비교에서 제외합니다.
+
+let spacingTerms = [];
+let spacingTermIndex = new Map(); // 첫 글자 → 해당 글자로 시작하는 용어 (긴 용어 우선)
+
+/**
+ * 띄어쓰기 재분할 용어 설정 (공백을 뺀 형태로 저장, 두 글자 이상만 사용)
+ * 분석 시 정답/키워드의 전체 표기와 어절이 자동으로 등록됩니다.
+ * @param {Array} terms - 용어 목록
+ */
+function setSpacingTerms(terms) {
+    const compacted = (terms || [])
+        .map(term => String(term ?? "").replace(/\s+/g, ""))
+        .filter(term => term.length >= 2);
+    spacingTerms = [...new Set(compacted)].sort((a, b) => b.length - a.length);
+
+    spacingTermIndex = new Map();
+    spacingTerms.forEach(term => {
+        if (!spacingTermIndex.has(term[0])) spacingTermIndex.set(term[0], []);
+        spacingTermIndex.get(term[0]).push(term);
+    });
+}
+
+function getSpacingTerms() {
+    return [...spacingTerms];
+}
+
+/**
+ * 공백을 없앤 뒤 용어 사전 기준으로 다시 띄어 씀 (왼쪽부터 가장 긴 용어 우선, 용어 사이의 나머지 글자는 한 덩어리)
+ * ("스냅드래 곤파에" + 용어 "스냅드래곤" → "스냅드래곤 파에")
+ * @param {string} text - 입력 텍스트
+ * @returns {string}
+ */
+function resegmentSpacing(text) {
+    const compact = text.replace(/\s+/g, "");
+    const segments = [];
+    let rest = "";
+    let pos = 0;
+
+    while (pos < compact.length) {
+        const term = (spacingTermIndex.get(compact[pos]) || []).find(candidate => compact.startsWith(candidate, pos));
+        if (!term) {
+            rest += compact[pos];
+            pos++;
+            continue;
+        }
+        if (rest) segments.push(rest);
+        segments.push(term);
+        rest = "";
+        pos += term.length;
+    }
+    if (rest) segments.push(rest);
+
+    return segments.join(" ");
+}
+
+/**
+ * 띄어쓰기 정규화
+ * @param {string} text - 입력 텍스트
+ * @param {string} mode - 'keep' (그대로), 'remove' (공백 제거), 'resegment' (용어 사전으로 재분할)
+ * @param {Array|null} trace - 추적 배열
+ * @returns {string}
+ */
+function normalizeSpacing(text, mode = 'remove', trace = null) {
+    if (!text || typeof text !== 'string' || mode === 'keep') return text;
+
+    if (mode === 'resegment') {
+        const result = resegmentSpacing(text);
+        pushTraceEntry(trace, { step: "spacing", rule: "띄어쓰기 재분할", before: text, after: result, start: 0, input: text });
+        return result;
+    }
+    return tracedReplace(text, /\s+/g, "", trace, { step: "spacing", rule: "띄어쓰기 제거" });
+}
+
+// ===== 역방향 전처리 (R1-R4) =====
+// 정방향(숫자 → 한글 읽기)과 반대로 한글 표현을 숫자/영문 단위로 모읍니다. ("팔점구 미터" → "8.9 m", "사천사백" → "4400")
+// 정방향과 나란히 비교하기 위한 단계이며, 방향별 통과/실패 분리도는 evaluateStageSeparation()으로 확인합니다.
+
+// R1: 한 글자 한자어 숫자 (+ 소수부) 토큰 ("팔" → 8, "팔점구" → 8.9), 측정 단위가 붙어 있어도 변환
+const REVERSE_SIMPLE_NUMERAL_PATTERN = /^([영공일이삼사오육륙칠팔구])(?:[점쩜]([영공일이삼사오육륙칠팔구]+))?$/;
+
+// R3: 숫자 뒤 한글 단위 → 영문 약어 ("킬로"처럼 무게/거리 어느 쪽인지 알 수 없는 표기는 제외)
+const REVERSE_UNIT_ABBREVIATIONS = {
+    "킬로미터": "km", "센티미터": "cm", "밀리미터": "mm", "센치": "cm", "센티": "cm", "미리": "mm", "미터": "m",
+    "킬로그램": "kg", "밀리그램": "mg", "그램": "g",
+    "밀리리터": "ml", "리터": "l",
+    "퍼센트": "%", "프로": "%",
+    "기가헤르츠": "GHz", "메가헤르츠": "MHz", "킬로헤르츠": "kHz", "헤르츠": "Hz",
+    "테라바이트": "TB", "기가바이트": "GB", "메가바이트": "MB", "테라": "TB", "기가": "GB", "메가": "MB",
+    "킬로와트": "kW", "와트": "W", "밀리암페어": "mAh", "인치": "inch"
+};
+const REVERSE_UNIT_PATTERN = new RegExp(`(?<=\\d\\s*)(?:${Object.keys(REVERSE_UNIT_ABBREVIATIONS)
+    .sort((a, b) => b.length - a.length).join("|")})`, "g");
+
+// R1: 한 글자 한자어 숫자 토큰 변환 (복합 수사는 R4에서 처리)
+// 단위나 소수부가 붙지 않은 한 글자는 Step 1과 같은 기준(isStandaloneDigitNumeral)으로만 변환 ("오 일 후" → "5 일 후", "이 제품은"/"공 던지기" 유지)
+function convertSimpleKoreanDigits(text, trace = null) {
+    const units = [...NUMERAL_MEASURE_UNITS].sort((a, b) => b.length - a.length);
+    const words = (text.match(/\S+/g) || []).map(word => word.match(/^(.*?)[,!?~…]*$/)[1]);
+    let wordIndex = -1;
+    let afterNumeral = false; // 직전 어절이 숫자이거나 변환된 수사인지
+
+    return tracedReplace(text, /\S+/g, (token) => {
+        wordIndex++;
+        const wasAfterNumeral = afterNumeral;
+        afterNumeral = /^\d+(\.\d+)?$/.test(words[wordIndex]);
+        const unit = units.find(candidate => token.endsWith(candidate) && token.length > candidate.length) || "";
+        const match = token.slice(0, token.length - unit.length).match(REVERSE_SIMPLE_NUMERAL_PATTERN);
+        if (!match) return token;
+        if (!unit && !match[2] && !isStandaloneDigitNumeral(words, wordIndex, wasAfterNumeral)) return token;
+        afterNumeral = true;
+
+        const toDigit = (ch) => SINO_DIGITS[ch];
+        const integer = toDigit(match[1]);
+        const fraction = match[2] ? "." + [...match[2]].map(toDigit).join("") : "";
+        return `${integer}${fraction}${unit}`;
+    }, trace, { step: "R1", rule: "R1 한글 숫자 → 숫자" });
+}
+
+// R3: 숫자 뒤 한글 단위를 영문 약어로 변환 ("8.9 미터" → "8.9 m")
+function convertKoreanUnitsToLatin(text, trace = null) {
+    return tracedReplace(text, REVERSE_UNIT_PATTERN, (unit) => REVERSE_UNIT_ABBREVIATIONS[unit],
+        trace, { step: "R3", rule: "R3 한글 단위 → 영문" });
+}
+
+/**
+ * 역방향 전처리
+ * R1 한글 숫자 → 숫자, R2 소수점 표현 정규화, R3 한글 단위 → 영문 약어, (선택) R4 복합 한글 수사 → 숫자
+ * R4는 R1보다 먼저 적용해 띄어 쓴 자릿수를 정방향 Step 1과 같이 합칩니다. ("삼십 일 일" → "31 일")
+ * R3보다 앞이므로 R4로 변환된 숫자 뒤의 단위도 영문으로 바뀝니다.
+ * @param {string} text - 입력 텍스트
+ * @param {Object} options - { compoundNumerals: R4 적용 여부 }
+ * @param {Array|null} trace - 추적 배열
+ * @returns {string}
+ */
+function applyReversePreprocessing(text, options = {}, trace = null) {
+    const { compoundNumerals = false } = options;
+    let t = text.trim();
+
+    if (compoundNumerals) {
+        t = convertKoreanNumerals(t, trace);
+    }
+    t = convertSimpleKoreanDigits(t, trace);
+    unitDictionaryRules
+        .filter(rule => rule.step === 2)
+        .forEach(({ rule, pattern, replacement }) => {
+            t = tracedReplace(t, pattern, replacement, trace, { step: "R2", rule: `R2 ${rule}` });
+        });
+    t = convertKoreanUnitsToLatin(t, trace);
+
+    return t;
+}
+
+// ===== 전처리 단계 레지스트리 =====
+// 각 단계는 { id, label, shortLabel, description, transform(text, debugLevel, trace), builtin, defaultSelected, direction }를 가집니다.
+// direction은 방향 평가용 구분입니다. ('forward': 숫자 → 한글 읽기 쪽, 'reverse': 한글 → 숫자/영문 쪽, 'none': 원본/띄어쓰기처럼 방향과 무관한 단계)
+// transform은 trace 배열을 받으면 적용한 규칙을 기록합니다. (tracePreprocessingStage 참고)
+// UI의 단계 체크박스, analyzeData의 단계별 텍스트 변환, preprocessing_comparison 라벨이 모두 이 레지스트리를 사용합니다.
+
+// 사용자 정의 단계 저장 키 (localStorage)
+const USER_STAGE_STORAGE_KEY = "preprocessingUserStages";
+
+const preprocessingStages = new Map();
+
+// 단계 등록 (같은 id가 있으면 교체)
+function registerPreprocessingStage(stage) {
+    if (!stage || !stage.id || typeof stage.transform !== 'function') {
+        throw new Error("전처리 단계에는 id와 transform 함수가 필요합니다.");
+    }
+    preprocessingStages.set(stage.id, {
+        label: stage.id,
+        shortLabel: stage.label || stage.id,
+        description: "",
+        builtin: false,
+        defaultSelected: false,
+        direction: "none",
+        ...stage
+    });
+}
+
+function getPreprocessingStage(id) {
+    return preprocessingStages.get(id) || null;
+}
+
+// 등록 순서대로 단계 목록 반환
+function getPreprocessingStages() {
+    return [...preprocessingStages.values()];
+}
+
+// 표시용 단계 이름 (등록되지 않은 id는 그대로)
+function getPreprocessingStageLabel(id) {
+    const stage = preprocessingStages.get(id);
+    return stage ? stage.shortLabel : id;
+}
+
+// 단계 하나 적용
+function applyPreprocessingStage(id, text, debugLevel = 0, trace = null) {
+    const stage = preprocessingStages.get(id);
+    if (!stage) {
+        throw new Error(`알 수 없는 전처리 단계: ${id}`);
+    }
+    return stage.transform(typeof text === 'string' ? text : String(text ?? ""), debugLevel, trace);
+}
+
+/**
+ * 단계 하나를 적용하면서 규칙별 변경 내역 수집
+ * 추적을 지원하지 않는 단계(외부에서 등록한 transform)는 결과가 달라졌을 때 단계 전체를 한 항목으로 기록합니다.
+ * @returns {Object} - { text, trace: [{ step, rule, before, after, span: [시작, 끝], input }] }
+ */
+function tracePreprocessingStage(id, text, debugLevel = 0) {
+    const input = typeof text === 'string' ? text : String(text ?? "");
+    const trace = [];
+    const result = applyPreprocessingStage(id, input, debugLevel, trace);
+
+    if (trace.length === 0 && result !== input.trim()) {
+        pushTraceEntry(trace, { step: id, rule: getPreprocessingStageLabel(id), before: input, after: result, start: 0, input });
+    }
+    return { text: result, trace };
+}
+
+// 여러 단계를 순서대로 이어 붙인 transform 생성
+function composePreprocessingStages(ids) {
+    return (text, debugLevel = 0, trace = null) =>
+        ids.reduce((current, id) => applyPreprocessingStage(id, current, debugLevel, trace), text);
+}
+
+// 기본 제공 단계
+[
+    { id: "original", label: "원본 (전처리 없음)", shortLabel: "원본", defaultSelected: true,
+        transform: (text) => text.trim() },
+    { id: "step13", label: "1-3단계 (숫자 유지)", shortLabel: "1-3단계", defaultSelected: true, direction: "forward",
+        transform: (text, debugLevel, trace) => applyBasePreprocessing(text, trace) },
+    { id: "step14", label: "1-4단계 (한글 변환)", shortLabel: "1-4단계", defaultSelected: true, direction: "forward",
+        transform: (text, debugLevel, trace) => {
+            const dual = preprocessLearningTextDual(text, debugLevel, { trace: Boolean(trace) });
+            if (trace) trace.push(...dual.trace);
+            return dual.koreanVersion;
+        } },
+    { id: "translit", label: "1-3단계 + 음역 통일", shortLabel: "음역 통일", direction: "forward",
+        transform: (text, debugLevel, trace) => applyTransliterationPreprocessing(text, trace) },
+    { id: "translitLatin", label: "1-3단계 + 영문 표기 통일 (역방향 음역)", shortLabel: "영문 표기 통일", direction: "reverse",
+        transform: (text, debugLevel, trace) => applyLatinTransliterationPreprocessing(text, trace) },
+    { id: "particles", label: "1-3단계 + 조사/어미 제거", shortLabel: "조사/어미 제거", direction: "forward",
+        transform: (text, debugLevel, trace) => applyParticleStrippingPreprocessing(text, trace) },
+    { id: "spacing", label: "1-3단계 + 띄어쓰기 제거", shortLabel: "띄어쓰기 제거", direction: "none",
+        transform: (text, debugLevel, trace) => normalizeSpacing(applyBasePreprocessing(text, trace), 'remove', trace) },
+    { id: "resegment", label: "1-3단계 + 띄어쓰기 재분할 (정답 용어 기준)", shortLabel: "띄어쓰기 재분할", direction: "none",
+        transform: (text, debugLevel, trace) => normalizeSpacing(applyBasePreprocessing(text, trace), 'resegment', trace) },
+    { id: "reverseR13", label: "R1-R3 (역방향: 한글 → 숫자/영문 단위)", shortLabel: "R1-R3", direction: "reverse",
+        transform: (text, debugLevel, trace) => applyReversePreprocessing(text, {}, trace) },
+    { id: "reverseR14", label: "R1-R4 (역방향 + 복합 수사)", shortLabel: "R1-R4", direction: "reverse",
+        transform: (text, debugLevel, trace) => applyReversePreprocessing(text, { compoundNumerals: true }, trace) }
+].forEach(stage => registerPreprocessingStage({ ...stage, builtin: true }));
+
+// 기준 단계를 따라가다 id로 돌아오는지 확인 (돌아오면 id부터의 순환 경로, 아니면 null)
+// 단계를 새로 만들거나 같은 id로 바꿔 등록할 때 자기 자신이나 순환 기준 단계로 무한 재귀하지 않도록 막습니다.
+function findStageBaseCycle(id, base) {
+    const path = [id];
+    const visited = new Set();
+    let current = base;
+    while (current && !visited.has(current)) {
+        path.push(current);
+        if (current === id) return path;
+        visited.add(current);
+        const stage = preprocessingStages.get(current);
+        current = stage && stage.definition ? stage.definition.base : null;
+    }
+    return null;
+}
+
+/**
+ * 사용자 정의 단계 생성 (정규식 치환 또는 사전 치환)
+ * @param {Object} definition - { id, label, type: 'regex' | 'dictionary', base: 먼저 적용할 단계 id (선택),
+ *   rules: [{ pattern, replacement, flags }] (regex) 또는 [{ from, to }] (dictionary) }
+ * @returns {Object} - 레지스트리에 등록할 단계 객체
+ */
+function createUserDefinedStage(definition) {
+    const { id, label, type, base, rules } = definition || {};
+    if (!id || !label) {
+        throw new Error("사용자 정의 단계에는 id와 이름이 필요합니다.");
+    }
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error(`"${label}" 단계에 치환 규칙이 없습니다.`);
+    }
+    if (base && !preprocessingStages.has(base)) {
+        throw new Error(`"${label}" 단계의 기준 단계(${base})를 찾을 수 없습니다.`);
+    }
+    const cycle = base ? findStageBaseCycle(id, base) : null;
+    if (cycle) {
+        throw new Error(`"${label}" 단계의 기준 단계가 순환합니다: ${cycle.join(" → ")}`);
+    }
+
+    let replace;
+    if (type === 'regex') {
+        const compiled = rules.map(rule => {
+            try {
+                return { regex: new RegExp(rule.pattern, rule.flags ?? "g"), replacement: rule.replacement ?? "" };
+            } catch (error) {
+                throw new Error(`"${label}" 단계의 정규식이 올바르지 않습니다: ${rule.pattern} (${error.message})`);
+            }
+        });
+        replace = (text, trace) => compiled.reduce((current, rule) =>
+            tracedReplace(current, rule.regex, rule.replacement, trace, { step: id, rule: `${label}: /${rule.regex.source}/` }), text);
+    } else if (type === 'dictionary') {
+        // 한 번에 치환 (긴 표현 우선, 치환된 결과를 다시 치환하지 않음)
+        const dictionary = new Map(rules.filter(rule => rule.from).map(rule => [rule.from, rule.to ?? ""]));
+        const pattern = new RegExp([...dictionary.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(from => from.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join("|"), "g");
+        replace = (text, trace) => dictionary.size > 0
+            ? tracedReplace(text, pattern, match => dictionary.get(match), trace, { step: id, rule: `${label}: 사전` })
+            : text;
+    } else {
+        throw new Error(`"${label}" 단계의 유형(${type})을 알 수 없습니다. regex 또는 dictionary만 지원합니다.`);
+    }
+
+    const baseTransform = base ? composePreprocessingStages([base]) : (text) => text.trim();
+    const baseLabel = base ? getPreprocessingStageLabel(base) : "원본";
+
+    return {
+        id,
+        label: `${baseLabel} + ${label}`,
+        shortLabel: label,
+        description: type === 'regex' ? "사용자 정의 정규식 단계" : "사용자 정의 사전 단계",
+        builtin: false,
+        direction: base ? preprocessingStages.get(base).direction : "none",
+        definition: { id, label, type, base: base || null, rules },
+        transform: (text, debugLevel, trace = null) => replace(baseTransform(text, debugLevel, trace), trace)
+    };
+}
+
+// 사용자 정의 단계 정의 목록 (저장용)
+function getUserDefinedStageDefinitions() {
+    return getPreprocessingStages()
+        .filter(stage => !stage.builtin && stage.definition)
+        .map(stage => stage.definition);
+}
+
+// 브라우저 localStorage (Node.js 환경이나 접근이 막힌 경우 null)
+function getLocalStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 사용자 정의 단계 저장 (브라우저 localStorage)
+function saveUserDefinedStages() {
+    const storage = getLocalStorage();
+    if (!storage) return;
+    storage.setItem(USER_STAGE_STORAGE_KEY, JSON.stringify(getUserDefinedStageDefinitions()));
+}
+
+// 사용자 정의 단계 추가 후 저장
+function addUserDefinedStage(definition) {
+    if (preprocessingStages.has(definition.id) && preprocessingStages.get(definition.id).builtin) {
+        throw new Error(`기본 단계와 같은 id는 사용할 수 없습니다: ${definition.id}`);
+    }
+    const stage = createUserDefinedStage(definition);
+    registerPreprocessingStage(stage);
+    saveUserDefinedStages();
+    return stage;
+}
+
+// 사용자 정의 단계 삭제 후 저장 (기본 단계, 다른 단계의 기준 단계는 삭제 불가)
+function removeUserDefinedStage(id) {
+    const stage = preprocessingStages.get(id);
+    if (!stage || stage.builtin) return false;
+
+    const dependent = getPreprocessingStages().find(other => other.definition && other.definition.base === id);
+    if (dependent) {
+        throw new Error(`"${dependent.shortLabel}" 단계가 이 단계를 기준으로 사용하고 있어 삭제할 수 없습니다.`);
+    }
+    preprocessingStages.delete(id);
+    saveUserDefinedStages();
+    return true;
+}
+
+// 저장된 사용자 정의 단계 불러오기 (잘못된 정의는 건너뛰고 오류 목록 반환)
+function loadUserDefinedStages() {
+    const errors = [];
+    const storage = getLocalStorage();
+    if (!storage) return errors;
+
+    let definitions = [];
+    try {
+        definitions = JSON.parse(storage.getItem(USER_STAGE_STORAGE_KEY) || "[]");
+    } catch (error) {
+        errors.push(`저장된 사용자 정의 단계를 읽을 수 없습니다: ${error.message}`);
+        return errors;
+    }
+
+    definitions.forEach(definition => {
+        try {
+            registerPreprocessingStage(createUserDefinedStage(definition));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+    return errors;
+}
+
+// ===== 전처리 방향 평가 =====
+
+// 통과/실패 분리도 AUC: 임의의 통과 후보 점수가 실패 후보 점수보다 높을 확률 (동점은 0.5, 순위 합으로 계산)
+function calculateSeparationAUC(passScores, failScores) {
+    if (passScores.length === 0 || failScores.length === 0) return null;
+
+    const scores = [
+        ...passScores.map(score => ({ score, pass: true })),
+        ...failScores.map(score => ({ score, pass: false }))
+    ].sort((a, b) => a.score - b.score);
+
+    let passRankSum = 0;
+    for (let i = 0; i < scores.length;) {
+        let j = i;
+        while (j < scores.length && scores[j].score === scores[i].score) j++;
+        const averageRank = (i + 1 + j) / 2; // 동점 구간의 평균 순위 (1부터)
+        for (let k = i; k < j; k++) {
+            if (scores[k].pass) passRankSum += averageRank;
+        }
+        i = j;
+    }
+
+    const auc = (passRankSum - passScores.length * (passScores.length + 1) / 2) / (passScores.length * failScores.length);
+    return Math.round(auc * 1000) / 1000;
+}
+
+/**
+ * 전처리 단계별 통과/실패 분리도 평가 (origin_judge 기준, 데이터 타입별)
+ * origin_judge가 'mixed'인 후보는 제외합니다.
+ * @param {Array} results - analysisResults (후보마다 preprocessingComparison 포함)
+ * @param {Object} options - { metric: 'auto' | 'similarity' | similarities 키 (auto는 stt_ensemble이 있으면 사용, 없으면 similarity) }
+ * @returns {Object} - { metric, dataTypes: { word|sentence: { passCount, failCount, stages: [...], bestForward, bestReverse, winner } } }
+ */
+function evaluateStageSeparation(results, options = {}) {
+    const candidates = (results || []).flatMap(result => (result.candidates || [])
+        .filter(candidate => candidate.preprocessingComparison)
+        .map(candidate => ({ dataType: result.data_type === 'sentence' ? 'sentence' : 'word', candidate })));
+
+    let metric = options.metric || 'auto';
+    if (metric === 'auto') {
+        const hasEnsemble = candidates.some(({ candidate }) => Object.values(candidate.preprocessingComparison)
+            .some(comparison => typeof comparison.similarities?.stt_ensemble === 'number'));
+        metric = hasEnsemble ? 'stt_ensemble' : 'similarity';
+    }
+    const getScore = (comparison) => metric === 'similarity' ? comparison.similarity : comparison.similarities?.[metric];
+    const average = (values) => values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 1000) / 1000 : null;
+
+    const dataTypes = {};
+    ['word', 'sentence'].forEach(dataType => {
+        const judged = candidates
+            .filter(entry => entry.dataType === dataType)
+            .map(({ candidate }) => ({ candidate, judge: String(candidate.origin_judge) }))
+            .filter(({ judge }) => judge === 'true' || judge === 'false');
+        if (judged.length === 0) return;
+
+        const stageIds = [...new Set(judged.flatMap(({ candidate }) => Object.keys(candidate.preprocessingComparison)))];
+        const stages = stageIds.map(stage => {
+            const passScores = [];
+            const failScores = [];
+            judged.forEach(({ candidate, judge }) => {
+                const comparison = candidate.preprocessingComparison[stage];
+                const score = comparison ? getScore(comparison) : undefined;
+                if (typeof score !== 'number' || Number.isNaN(score)) return;
+                (judge === 'true' ? passScores : failScores).push(score);
+            });
+
+            const registered = preprocessingStages.get(stage);
+            const passMean = average(passScores);
+            const failMean = average(failScores);
+            return {
+                stage,
+                label: registered ? registered.shortLabel : stage,
+                direction: registered ? registered.direction : "none",
+                auc: calculateSeparationAUC(passScores, failScores),
+                passMean,
+                failMean,
+                gap: passMean !== null && failMean !== null ? Math.round((passMean - failMean) * 1000) / 1000 : null,
+                count: passScores.length + failScores.length
+            };
+        });
+
+        const best = (direction) => stages
+            .filter(stage => stage.direction === direction && stage.auc !== null)
+            .sort((a, b) => b.auc - a.auc)[0] || null;
+        const bestForward = best("forward");
+        const bestReverse = best("reverse");
+
+        let winner = null;
+        if (bestForward && bestReverse) {
+            const diff = bestForward.auc - bestReverse.auc;
+            winner = Math.abs(diff) < 0.005 ? 'tie' : diff > 0 ? 'forward' : 'reverse';
+        }
+
+        dataTypes[dataType] = {
+            passCount: judged.filter(({ judge }) => judge === 'true').length,
+            failCount: judged.filter(({ judge }) => judge === 'false').length,
+            stages,
+            bestForward,
+            bestReverse,
+            winner
+        };
+    });
+
+    return { metric, dataTypes };
+}
+
 // Export for both Node.js and browser environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         preprocessLearningText,
         preprocessLearningTextDual,
         applyBasePreprocessing,
+        setUnitDictionary,
+        getUnitDictionary,
+        compileUnitDictionary,
+        runUnitDictionaryTests,
+        exportUnitDictionary,
+        importUnitDictionary,
+        resetUnitDictionary,
+        loadUnitDictionary,
+        convertKoreanNumerals,
+        parseKoreanNumeral,
         numberToKorean,
         convertSingleNumberToKorean,
         convertIntegerToKorean,
-        convertDecimalToKorean
+        convertDecimalToKorean,
+        transliterateToHangul,
+        applyTransliterationPreprocessing,
+        transliterateToLatin,
+        applyLatinTransliterationPreprocessing,
+        TRANSLITERATION_DICTIONARY,
+        LATIN_ACRONYM_ALLOWLIST,
+        stripParticlesAndEndings,
+        applyParticleStrippingPreprocessing,
+        setStrippableSuffixes,
+        getStrippableSuffixes,
+        runParticleStrippingTests,
+        DEFAULT_STRIPPABLE_SUFFIXES,
+
+        // 전처리 단계 레지스트리
+        registerPreprocessingStage,
+        getPreprocessingStage,
+        getPreprocessingStages,
+        getPreprocessingStageLabel,
+        applyPreprocessingStage,
+        normalizeSpacing,
+        setSpacingTerms,
+        getSpacingTerms,
+        applyReversePreprocessing,
+        evaluateStageSeparation,
+        calculateSeparationAUC,
+        tracePreprocessingStage,
+        composePreprocessingStages,
+        createUserDefinedStage,
+        addUserDefinedStage,
+        removeUserDefinedStage,
+        loadUserDefinedStages,
+        getUserDefinedStageDefinitions
     };
 } else {
     // Browser environment - expose as global object
@@ -210,9 +1386,51 @@ if (typeof module !== 'undefined' && module.exports) {
         preprocessLearningText,
         preprocessLearningTextDual,
         applyBasePreprocessing,
+        setUnitDictionary,
+        getUnitDictionary,
+        compileUnitDictionary,
+        runUnitDictionaryTests,
+        exportUnitDictionary,
+        importUnitDictionary,
+        resetUnitDictionary,
+        loadUnitDictionary,
+        convertKoreanNumerals,
+        parseKoreanNumeral,
         numberToKorean,
         convertSingleNumberToKorean,
         convertIntegerToKorean,
-        convertDecimalToKorean
+        convertDecimalToKorean,
+        transliterateToHangul,
+        applyTransliterationPreprocessing,
+        transliterateToLatin,
+        applyLatinTransliterationPreprocessing,
+        TRANSLITERATION_DICTIONARY,
+        LATIN_ACRONYM_ALLOWLIST,
+        stripParticlesAndEndings,
+        applyParticleStrippingPreprocessing,
+        setStrippableSuffixes,
+        getStrippableSuffixes,
+        runParticleStrippingTests,
+        DEFAULT_STRIPPABLE_SUFFIXES,
+
+        // 전처리 단계 레지스트리
+        registerPreprocessingStage,
+        getPreprocessingStage,
+        getPreprocessingStages,
+        getPreprocessingStageLabel,
+        applyPreprocessingStage,
+        normalizeSpacing,
+        setSpacingTerms,
+        getSpacingTerms,
+        applyReversePreprocessing,
+        evaluateStageSeparation,
+        calculateSeparationAUC,
+        tracePreprocessingStage,
+        composePreprocessingStages,
+        createUserDefinedStage,
+        addUserDefinedStage,
+        removeUserDefinedStage,
+        loadUserDefinedStages,
+        getUserDefinedStageDefinitions
     };
 }
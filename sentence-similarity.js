@@ -79,22 +79,43 @@ function calculateCompletenessScore(text, keyword) {
 }
 
 /**
- * 키워드 주변 문맥 추출
+ * 발화에서 키워드 구간 찾기 (STTSimilarity.spotKeyword 사용, 자모/음성학적 오차 허용)
+ * STTSimilarity가 없으면 정확히 포함된 경우만 찾습니다.
+ * @param {string} text - 발화 텍스트
+ * @param {string} keyword - 키워드
+ * @returns {Object} - { found, exact, score, start, end, text }
+ */
+function findKeywordSpan(text, keyword) {
+    if (typeof STTSimilarity !== 'undefined' && STTSimilarity.spotKeyword) {
+        return STTSimilarity.spotKeyword(keyword, text);
+    }
+
+    const index = text && keyword ? text.toLowerCase().indexOf(keyword.toLowerCase()) : -1;
+    if (index === -1) {
+        return { found: false, exact: false, score: 0, start: -1, end: -1, text: '' };
+    }
+    return { found: true, exact: true, score: 1, start: index, end: index + keyword.length, text: text.slice(index, index + keyword.length) };
+}
+
+/**
+ * 키워드 주변 문맥 추출 (키워드 구간이 걸친 어절 기준)
  * @param {string} text - 전체 텍스트
  * @param {string} keyword - 키워드
  * @param {number} windowSize - 앞뒤로 추출할 단어 수
  * @returns {string} - 키워드 주변 문맥
  */
 function extractKeywordContext(text, keyword, windowSize = 3) {
-    const words = text.split(/\s+/);
-    const keywordIndex = words.findIndex(word => word.includes(keyword));
-    
-    if (keywordIndex === -1) return '';
+    const span = findKeywordSpan(text, keyword);
+    if (!span.found) return '';
+
+    const words = [...text.matchAll(/\S+/g)];
+    const firstIndex = words.findIndex(word => word.index + word[0].length > span.start);
+    const lastIndex = words.findIndex(word => word.index + word[0].length >= span.end);
     
-    const start = Math.max(0, keywordIndex - windowSize);
-    const end = Math.min(words.length, keywordIndex + windowSize + 1);
+    const start = Math.max(0, firstIndex - windowSize);
+    const end = Math.min(words.length, lastIndex + windowSize + 1);
     
-    return words.slice(start, end).join(' ');
+    return words.slice(start, end).map(word => word[0]).join(' ');
 }
 
 /**
@@ -125,19 +146,11 @@ function calculateContextSimilarity(context1, context2) {
  * @returns {number} - 키워드 가중 유사도
  */
 function calculateKeywordWeightedSimilarity(expectedText, candidateText, keyword, baseSimilarity) {
-    // 키워드 포함 여부 확인 (대소문자 무시)
-    const keywordIncluded = candidateText.toLowerCase().includes(keyword.toLowerCase());
-    
-    if (!keywordIncluded) {
-        // 키워드 미포함 시 STT 오류 가능성 확인
-        let sttSimilarity = 0;
-        if (typeof STTSimilarity !== 'undefined') {
-            sttSimilarity = STTSimilarity.calculateJaroWinkler(keyword, candidateText);
-        }
-        
-        if (sttSimilarity < 0.7) {
-            return baseSimilarity * 0.3; // 키워드 없으면 대폭 감점
-        }
+    // 키워드 포함 여부 확인 (발화 안에서 키워드와 가장 가까운 구간, STT 오류 허용)
+    const keywordSpan = findKeywordSpan(candidateText, keyword);
+    
+    if (!keywordSpan.found) {
+        return baseSimilarity * 0.3; // 키워드 없으면 대폭 감점
     }
     
     // 키워드 주변 문맥 분석
@@ -147,43 +160,22 @@ function calculateKeywordWeightedSimilarity(expectedText, candidateText, keyword
     // 문맥 유사도 계산
     const contextSimilarity = calculateContextSimilarity(keywordContext, expectedContext);
     
-    // 키워드 포함 보너스
-    const keywordBonus = keywordIncluded ? 0.1 : 0;
+    // 키워드 포함 보너스 (STT 오류로 비슷하게만 맞으면 스포팅 점수만큼)
+    const keywordBonus = 0.1 * keywordSpan.score;
     
     // 최종 가중 유사도
     return Math.min((baseSimilarity * 0.6) + (contextSimilarity * 0.3) + keywordBonus, 1.0);
 }
 
 /**
- * 문장 특화 STT 오류 패턴 (기존 stt-similarity.js의 패턴을 참조)
+ * 문장 특화 STT 오류 패턴 (stt-similarity.js의 오류 패턴 저장소 사용, 학습 패턴 포함)
+ * STTSimilarity가 없으면 보정 유사도도 계산할 수 없으므로 빈 패턴을 반환합니다.
  */
 function getSentenceSTTErrorPatterns() {
-    // stt-similarity.js의 패턴을 재사용하거나 확장
-    if (typeof STTSimilarity !== 'undefined' && STTSimilarity.KOREAN_STT_ERROR_PATTERNS) {
-        return STTSimilarity.KOREAN_STT_ERROR_PATTERNS;
+    if (typeof STTSimilarity !== 'undefined' && STTSimilarity.getSTTErrorPatterns) {
+        return STTSimilarity.getSTTErrorPatterns();
     }
-    
-    // 기본 패턴 (stt-similarity.js가 로드되지 않은 경우)
-    return {
-    // 종성 혼동
-    '끝나는': ['끊나는', '끈나는', '끙나는'],
-    '도와드리겠습니다': ['보안드리겠습니다', '도안드리겠습니다', '도와드기겠습니다'],
-    '준비': ['즌비', '준비해', '준배'],
-    
-    // 모음 혼동
-    '서류': ['서뤼', '설류', '셔류'],
-    '확인': ['화긴', '확긴', '확인해'],
-    '필요': ['핑요', '비료', '필료'],
-    
-    // 자음 혼동
-    '클라우드': ['클라우두', '클라우드로', '클라둣'],
-    '인치': ['인치로', '인지', '인차'],
-    '고객님': ['고객님께', '고객닙', '고객님이'],
-    
-    // 복합 오류
-    '번거로우시겠지만': ['번거로우셨지만', '번거로시겠지만', '번거로우시겠습니다만'],
-    '죄송하지만': ['죄송합니다만', '죄송하시만', '죄송하지만서']
-    };
+    return {};
 }
 
 /**
@@ -224,6 +216,23 @@ function enhancedSTTErrorCheck(expected, candidate) {
     return maxSimilarity;
 }
 
+/**
+ * 문자/단어 오류율 (STTSimilarity.calculateCER/calculateWER 사용)
+ * 결과 카드에 음절 정렬(CER)과 어절 정렬(WER)을 함께 표시하도록 정렬 결과를 그대로 둡니다.
+ * @param {string} expectedText - 정답 문장
+ * @param {string} candidateText - 사용자 발화 문장
+ * @returns {Object|null} - { cer, wer } (각각 { rate, substitutions, insertions, deletions, hits, referenceLength, alignment })
+ *   STTSimilarity가 없으면 null
+ */
+function calculateSentenceErrorRates(expectedText, candidateText) {
+    if (typeof STTSimilarity === 'undefined' || !STTSimilarity.calculateCER) return null;
+
+    return {
+        cer: STTSimilarity.calculateCER(expectedText, candidateText),
+        wer: STTSimilarity.calculateWER(expectedText, candidateText)
+    };
+}
+
 /**
  * 통합 문장 유사도 계산 (메인 함수)
  * @param {Array} expectedEmbedding - 정답의 임베딩 벡터
@@ -252,6 +261,12 @@ function calculateSentenceEnhancedSimilarity(expectedEmbedding, candidateEmbeddi
     // 5. STT 오류 보정
     const sttCorrected = enhancedSTTErrorCheck(expectedText, candidateText);
     
+    // 키워드 구간 (결과 카드 강조 표시용)
+    const keywordSpan = findKeywordSpan(candidateText, keyword);
+    
+    // 문자/단어 오류율 (낮을수록 좋음, 최종 점수에는 반영하지 않음)
+    const errorRates = calculateSentenceErrorRates(expectedText, candidateText);
+    
     // 6. 최종 점수 계산 (가중 평균)
     const weights = {
         keywordWeighted: 0.4,    // 키워드 중심 유사도 (40%)
@@ -277,14 +292,23 @@ function calculateSentenceEnhancedSimilarity(expectedEmbedding, candidateEmbeddi
             keywordWeighted: keywordWeighted,
             sttCorrected: sttCorrected,
             completeness: completeness,
-            lengthPenalty: lengthPenalty
+            lengthPenalty: lengthPenalty,
+            ...(errorRates && { cer: errorRates.cer.rate, wer: errorRates.wer.rate })
         },
         analysis: {
-            keywordIncluded: candidateText.toLowerCase().includes(keyword.toLowerCase()),
+            keywordIncluded: keywordSpan.found,
+            keywordSpan: keywordSpan.start === -1 ? null : {
+                start: keywordSpan.start,
+                end: keywordSpan.end,
+                text: keywordSpan.text,
+                score: keywordSpan.score,
+                exact: keywordSpan.exact
+            },
             candidateLength: candidateText.trim().length,
             expectedLength: expectedText.trim().length,
             lengthRatio: candidateText.trim().length / expectedText.trim().length,
-            wordCount: candidateText.split(/\s+/).filter(w => w.trim().length > 0).length
+            wordCount: candidateText.split(/\s+/).filter(w => w.trim().length > 0).length,
+            errorRates
         }
     };
 }
@@ -307,7 +331,7 @@ function diagnoseSentenceQuality(candidateText, keyword) {
     }
     
     // 키워드 포함 여부
-    if (!candidateText.toLowerCase().includes(keyword.toLowerCase())) {
+    if (!findKeywordSpan(candidateText, keyword).found) {
         issues.push('키워드가 포함되지 않았습니다');
         suggestions.push(`"${keyword}" 키워드가 포함된 문장으로 발화해주세요`);
     }
@@ -346,10 +370,12 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         calculateLengthPenalty,
         calculateCompletenessScore,
+        findKeywordSpan,
         extractKeywordContext,
         calculateContextSimilarity,
         calculateKeywordWeightedSimilarity,
         enhancedSTTErrorCheck,
+        calculateSentenceErrorRates,
         calculateSentenceEnhancedSimilarity,
         diagnoseSentenceQuality,
         getSentenceSTTErrorPatterns
@@ -359,10 +385,12 @@ if (typeof module !== 'undefined' && module.exports) {
     window.SentenceSimilarity = {
         calculateLengthPenalty,
         calculateCompletenessScore,
+        findKeywordSpan,
         extractKeywordContext,
         calculateContextSimilarity,
         calculateKeywordWeightedSimilarity,
         enhancedSTTErrorCheck,
+        calculateSentenceErrorRates,
         calculateSentenceEnhancedSimilarity,
         diagnoseSentenceQuality,
         getSentenceSTTErrorPatterns
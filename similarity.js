@@ -216,21 +216,37 @@ function calculateSTTEnhancedSimilarities(vec1, vec2, text1, text2, options = {}
     // 2. STT 특화 메트릭 계산 (STTSimilarity 모듈 사용)
     let sttMetrics = {};
     if (typeof STTSimilarity !== 'undefined') {
+        // Jaro-Winkler/Levenshtein/Phonetic과 보조 메트릭(n-gram Dice, 토큰 집합, 최장 공통 부분 문자열)은 통합 계산 결과에서 가져옴
+        const spacedResult = STTSimilarity.calculateSTTSimilarity(text1, text2);
         sttMetrics = {
-            jaroWinkler: STTSimilarity.jaroWinklerSimilarity(text1, text2),
-            levenshtein: STTSimilarity.levenshteinSimilarity(text1, text2),
-            phonetic: STTSimilarity.koreanPhoneticSimilarity(text1, text2)
+            ...spacedResult.breakdown,
+            pronunciation: STTSimilarity.pronunciationSimilarity(text1, text2),
+            // 자모 단위 Jaro-Winkler/Levenshtein (받침 하나 차이를 음절 전체 차이보다 작게 평가, 앙상블에는 반영하지 않음)
+            jaroWinklerJamo: STTSimilarity.jaroWinklerSimilarity(text1, text2, { level: 'jamo' }),
+            levenshteinJamo: STTSimilarity.levenshteinSimilarity(text1, text2, { level: 'jamo' }),
+            // 띄어쓰기 유지/무시 STT 통합 점수 (상세 비교용, 앙상블에는 반영하지 않음)
+            spaced: spacedResult.weighted,
+            unspaced: STTSimilarity.calculateSTTSimilarity(text1, text2, {}, { spacing: 'remove' }).weighted
         };
     } else {
         console.warn('STTSimilarity 모듈을 찾을 수 없습니다. STT 메트릭이 비활성화됩니다.');
         sttMetrics = {
             jaroWinkler: 0,
             levenshtein: 0,
-            phonetic: 0
+            phonetic: 0,
+            pronunciation: 0,
+            jaroWinklerJamo: 0,
+            levenshteinJamo: 0,
+            bigramDice: 0,
+            trigramDice: 0,
+            tokenSet: 0,
+            lcsRatio: 0,
+            spaced: 0,
+            unspaced: 0
         };
     }
     
-    // 3. 가중 앙상블 점수 (실험적 가중치)
+    // 3. 가중 앙상블 점수 (실험적 가중치, 발음형 유사도는 별도 메트릭으로만 제공)
     const weights = {
         semantic: 0.4,      // 의미적 유사성 (코사인)
         jaroWinkler: 0.25,  // 부분 일치
@@ -251,6 +267,15 @@ function calculateSTTEnhancedSimilarities(vec1, vec2, text1, text2, options = {}
         stt_jaro_winkler: Math.round(sttMetrics.jaroWinkler * 1000) / 1000,
         stt_levenshtein: Math.round(sttMetrics.levenshtein * 1000) / 1000,
         stt_phonetic: Math.round(sttMetrics.phonetic * 1000) / 1000,
+        stt_pronunciation: Math.round(sttMetrics.pronunciation * 1000) / 1000,
+        stt_jaro_winkler_jamo: Math.round(sttMetrics.jaroWinklerJamo * 1000) / 1000,
+        stt_levenshtein_jamo: Math.round(sttMetrics.levenshteinJamo * 1000) / 1000,
+        stt_bigram_dice: Math.round(sttMetrics.bigramDice * 1000) / 1000,
+        stt_trigram_dice: Math.round(sttMetrics.trigramDice * 1000) / 1000,
+        stt_token_set: Math.round(sttMetrics.tokenSet * 1000) / 1000,
+        stt_lcs_ratio: Math.round(sttMetrics.lcsRatio * 1000) / 1000,
+        stt_spaced: Math.round(sttMetrics.spaced * 1000) / 1000,
+        stt_unspaced: Math.round(sttMetrics.unspaced * 1000) / 1000,
         stt_ensemble: Math.round(sttScore * 1000) / 1000
     };
 }
@@ -0,0 +1,259 @@
+/**
+ * STT 오류 패턴 학습 모듈 (stt-pattern-learner.js)
+ *
+ * 지난 분석 결과 JSON에서 승인(approved)된 정답/후보 쌍을 모아 STT 오류 패턴을 추출합니다:
+ * - 음절 단위 정렬로 달라진 구간을 찾고, 어절 경계까지 넓혀 { 정답 → 오류 } 패턴으로 만듦
+ * - 패턴마다 자모 단위 차이(ㅌ→ㅍ 등)를 함께 기록하고, 전체 자모 치환 빈도를 집계
+ * - 출현 횟수(후보 frequency 합)로 정렬해 오류 패턴 저장소에 추가할 후보로 제안
+ *
+ * 자모 정렬은 stt-similarity.js(STTSimilarity)의 alignKoreanPhonetic을 사용하며,
+ * 제안된 패턴은 STTSimilarity.addLearnedSTTErrorPatterns()로 저장소에 추가합니다.
+ */
+
+// STT 유사도 모듈 참조 (브라우저: 전역 STTSimilarity, Node.js: require)
+function getSTTSimilarity() {
+    if (typeof STTSimilarity !== 'undefined') return STTSimilarity;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./stt-similarity.js');
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 기본 학습 옵션
+const DEFAULT_PATTERN_LEARNING_OPTIONS = {
+    minCount: 1,   // 이 횟수 이상 나온 패턴만 제안
+    minLength: 2,  // 정답/오류가 이 글자 수(공백 제외)보다 짧으면 제외 (한 음절 패턴은 다른 단어까지 바꿈)
+    maxWords: 3    // 정답/오류 쪽 어절 수가 이보다 많으면 패턴으로 쓰지 않음 (문장 전체가 다른 경우 제외)
+};
+
+/**
+ * 결과 JSON들에서 승인된 정답/후보 쌍 수집
+ * @param {Array} resultSets - 결과 JSON 목록 (내보내기 형식 [{ expected_answer, candidates: [{ candidate_word, approval_status, frequency }] }])
+ * @returns {Array} - [{ expected, candidate, frequency }] (정답과 후보가 같은 쌍은 제외)
+ */
+function collectApprovedPairs(resultSets) {
+    const pairs = [];
+    (resultSets || []).forEach(results => {
+        (Array.isArray(results) ? results : []).forEach(result => {
+            (result.candidates || []).forEach(candidate => {
+                if (candidate.approval_status !== 'approved') return;
+
+                const expected = String(result.expected_answer ?? '').trim();
+                const candidateText = String(candidate.candidate_word ?? '').trim();
+                if (!expected || !candidateText || expected === candidateText) return;
+
+                pairs.push({ expected, candidate: candidateText, frequency: candidate.frequency || 1 });
+            });
+        });
+    });
+    return pairs;
+}
+
+/**
+ * 음절 단위 편집 거리 정렬
+ * @param {string} s1 - 정답
+ * @param {string} s2 - 후보
+ * @returns {Array} - [{ op: 'match' | 'sub' | 'del' | 'ins', aIndex, bIndex }] (aIndex/bIndex는 각 텍스트의 글자 인덱스, 없으면 null)
+ */
+function alignSyllables(s1, s2) {
+    const a = [...s1];
+    const b = [...s2];
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= b.length; j++) dp[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1
+            );
+        }
+    }
+
+    // 경로 복원 (치환/일치 → 삭제 → 삽입 순으로 우선)
+    const path = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+            path.push({ op: a[i - 1] === b[j - 1] ? 'match' : 'sub', aIndex: i - 1, bIndex: j - 1 });
+            i--;
+            j--;
+        } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+            path.push({ op: 'del', aIndex: i - 1, bIndex: null });
+            i--;
+        } else {
+            path.push({ op: 'ins', aIndex: null, bIndex: j - 1 });
+            j--;
+        }
+    }
+    return path.reverse();
+}
+
+// [start, end) 구간을 양쪽 공백 전까지 넓힘 (어절 경계)
+function expandToWordBoundary(chars, start, end) {
+    while (start > 0 && !/\s/.test(chars[start - 1])) start--;
+    while (end < chars.length && !/\s/.test(chars[end])) end++;
+    return [start, end];
+}
+
+// 패턴의 자모 단위 차이 (공백 삽입/삭제 제외, 예: ['ㅌ→ㅍ', 'ㄴ→∅'])
+function getJamoDifferences(correct, error) {
+    const stt = getSTTSimilarity();
+    if (!stt) return [];
+
+    return stt.alignKoreanPhonetic(correct, error).path
+        .filter(step => step.op !== 'match' && !/\s/.test(step.a || step.b))
+        .map(step => `${step.a ?? '∅'}→${step.b ?? '∅'}`);
+}
+
+/**
+ * 정답/후보 한 쌍에서 오류 패턴 추출
+ * 음절 정렬에서 연속으로 달라진 구간을 어절 경계까지 넓히고, 넓힌 구간이 겹치면 하나로 합칩니다.
+ * ("고객님 이번 티파늄 케이스" vs 정답 "고객님 이번 티타늄 케이스" → { correct: "티타늄", error: "티파늄" })
+ * @param {string} expected - 정답
+ * @param {string} candidate - 후보 (승인된 발화)
+ * @param {Object} options - { minLength, maxWords }
+ * @returns {Array} - [{ correct, error }]
+ */
+function extractPatternsFromPair(expected, candidate, options = {}) {
+    const { minLength, maxWords } = { ...DEFAULT_PATTERN_LEARNING_OPTIONS, ...options };
+    const a = [...expected];
+    const b = [...candidate];
+    const path = alignSyllables(expected, candidate);
+
+    // 연속으로 달라진 구간 → 정답/후보 쪽 글자 범위
+    const regions = [];
+    let aPos = 0;
+    let bPos = 0;
+    let current = null;
+    path.forEach(step => {
+        if (step.op === 'match') {
+            if (current) regions.push(current);
+            current = null;
+        } else {
+            if (!current) current = { aStart: aPos, aEnd: aPos, bStart: bPos, bEnd: bPos };
+            if (step.aIndex !== null) current.aEnd = step.aIndex + 1;
+            if (step.bIndex !== null) current.bEnd = step.bIndex + 1;
+        }
+        if (step.aIndex !== null) aPos = step.aIndex + 1;
+        if (step.bIndex !== null) bPos = step.bIndex + 1;
+    });
+    if (current) regions.push(current);
+
+    // 어절 경계까지 넓히고 겹치는 구간 합치기
+    const expanded = [];
+    regions.forEach(region => {
+        const [aStart, aEnd] = expandToWordBoundary(a, region.aStart, region.aEnd);
+        const [bStart, bEnd] = expandToWordBoundary(b, region.bStart, region.bEnd);
+        const last = expanded[expanded.length - 1];
+        if (last && (aStart < last.aEnd || bStart < last.bEnd)) {
+            last.aEnd = Math.max(last.aEnd, aEnd);
+            last.bEnd = Math.max(last.bEnd, bEnd);
+        } else {
+            expanded.push({ aStart, aEnd, bStart, bEnd });
+        }
+    });
+
+    const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+    const countChars = (text) => text.replace(/\s+/g, '').length;
+    return expanded
+        .map(region => ({
+            correct: a.slice(region.aStart, region.aEnd).join('').trim(),
+            error: b.slice(region.bStart, region.bEnd).join('').trim()
+        }))
+        .filter(({ correct, error }) => correct && error && correct !== error &&
+            countChars(correct) >= minLength && countChars(error) >= minLength &&
+            countWords(correct) <= maxWords && countWords(error) <= maxWords);
+}
+
+/**
+ * 승인된 쌍들에서 오류 패턴 학습
+ * @param {Array} pairs - collectApprovedPairs() 결과 [{ expected, candidate, frequency }]
+ * @param {Object} options - { minCount, minLength, maxWords }
+ * @returns {Object} - {
+ *   patterns: [{ correct, error, count, jamo, examples, known }] (count 내림차순, known은 저장소에 이미 있는 패턴),
+ *   jamoSubstitutions: [{ from, to, count }] (자모 치환/삽입/삭제 빈도, count 내림차순)
+ * }
+ */
+function learnSTTErrorPatterns(pairs, options = {}) {
+    const { minCount, minLength, maxWords } = { ...DEFAULT_PATTERN_LEARNING_OPTIONS, ...options };
+    const stt = getSTTSimilarity();
+    // 사용하지 않도록 꺼 둔 패턴도 이미 있는 패턴으로 취급
+    const knownKeys = new Set(stt
+        ? stt.getSTTErrorPatternStore().patterns.map(pattern => `${pattern.correct}\u0000${pattern.error}`)
+        : []);
+
+    const patternMap = new Map();
+    (pairs || []).forEach(pair => {
+        extractPatternsFromPair(pair.expected, pair.candidate, { minLength, maxWords }).forEach(({ correct, error }) => {
+            const key = `${correct}\u0000${error}`;
+            if (!patternMap.has(key)) {
+                patternMap.set(key, {
+                    correct,
+                    error,
+                    count: 0,
+                    jamo: getJamoDifferences(correct, error),
+                    examples: [],
+                    known: knownKeys.has(key)
+                });
+            }
+            const pattern = patternMap.get(key);
+            pattern.count += pair.frequency || 1;
+            if (pattern.examples.length < 3) pattern.examples.push({ expected: pair.expected, candidate: pair.candidate });
+        });
+    });
+
+    const patterns = [...patternMap.values()]
+        .filter(pattern => pattern.count >= minCount)
+        .sort((x, y) => y.count - x.count || x.correct.localeCompare(y.correct));
+
+    // 자모 단위 집계 (패턴 출현 횟수만큼)
+    const jamoMap = new Map();
+    patterns.forEach(pattern => {
+        pattern.jamo.forEach(change => {
+            jamoMap.set(change, (jamoMap.get(change) || 0) + pattern.count);
+        });
+    });
+    const jamoSubstitutions = [...jamoMap.entries()]
+        .map(([change, count]) => {
+            const [from, to] = change.split('→');
+            return { from, to, count };
+        })
+        .sort((x, y) => y.count - x.count);
+
+    return { patterns, jamoSubstitutions };
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        collectApprovedPairs,
+        alignSyllables,
+        extractPatternsFromPair,
+        learnSTTErrorPatterns,
+
+        // 상수
+        DEFAULT_PATTERN_LEARNING_OPTIONS
+    };
+} else {
+    // Browser environment - expose as global object
+    window.STTPatternLearner = {
+        collectApprovedPairs,
+        alignSyllables,
+        extractPatternsFromPair,
+        learnSTTErrorPatterns,
+
+        // 상수
+        DEFAULT_PATTERN_LEARNING_OPTIONS
+    };
+}
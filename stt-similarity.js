@@ -4,17 +4,66 @@
  * 음성 인식(STT) 특유의 오류 패턴을 고려한 유사도 메트릭 제공:
  * - Jaro-Winkler Distance: 부분 일치 및 prefix 가중치
  * - Levenshtein Distance: 편집 거리 기반
- * - Korean Phonetic Similarity: 한국어 음성학적 혼동 패턴
+ * - Korean Phonetic Similarity: 음성학적 혼동 비용을 반영한 자모 정렬
+ * - Pronunciation Similarity: 표준 발음법 규칙으로 변환한 발음형 비교
+ *
+ * 자모 분해는 hangul.js(HangulJamo)를 사용합니다.
+ * Jaro-Winkler/Levenshtein은 options.level = 'jamo'일 때 자모 단위로 계산합니다.
+ * calculateSTTSimilarity는 options.spacing으로 띄어쓰기 차이를 무시할 수 있습니다. (preprocessing.js의 normalizeSpacing 사용)
  */
 
+// 한글 자모 모듈 참조 (브라우저: 전역 HangulJamo, Node.js: require)
+function getHangulJamo() {
+    if (typeof HangulJamo !== 'undefined') return HangulJamo;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./hangul.js');
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 전처리 모듈 참조 (브라우저: 전역 TextPreprocessor, Node.js: require)
+function getTextPreprocessor() {
+    if (typeof TextPreprocessor !== 'undefined') return TextPreprocessor;
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        try {
+            return require('./preprocessing.js');
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 띄어쓰기 정규화 ('remove': 공백 제거, 'resegment': 정답 용어 사전으로 재분할, 그 외: 그대로)
+// 전처리 모듈이 없으면 'resegment'도 공백 제거로 처리합니다.
+function applySpacingMode(text, mode) {
+    if (!mode || mode === 'keep' || typeof text !== 'string') return text;
+    const preprocessor = getTextPreprocessor();
+    return preprocessor ? preprocessor.normalizeSpacing(text, mode) : text.replace(/\s+/g, '');
+}
+
+// 비교 단위에 맞게 문자열 변환 ('jamo'이면 자모 문자열로 분해)
+function toComparisonUnits(text, level) {
+    if (level !== 'jamo') return text;
+    const hangul = getHangulJamo();
+    return hangul ? hangul.decompose(text, { splitCompound: true }) : text;
+}
+
 // 1. Jaro-Winkler Distance 구현
-function jaroWinklerSimilarity(s1, s2) {
+function jaroWinklerSimilarity(s1, s2, options = {}) {
     if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
         return 0;
     }
     
     if (s1 === s2) return 1;
     
+    s1 = toComparisonUnits(s1, options.level);
+    s2 = toComparisonUnits(s2, options.level);
+    
     const len1 = s1.length;
     const len2 = s2.length;
     
@@ -76,13 +125,16 @@ function jaroWinklerSimilarity(s1, s2) {
 }
 
 // 2. Levenshtein Distance 기반 유사도
-function levenshteinSimilarity(s1, s2) {
+function levenshteinSimilarity(s1, s2, options = {}) {
     if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
         return 0;
     }
     
     if (s1 === s2) return 1;
     
+    s1 = toComparisonUnits(s1, options.level);
+    s2 = toComparisonUnits(s2, options.level);
+    
     const len1 = s1.length;
     const len2 = s2.length;
     
@@ -125,100 +177,634 @@ function levenshteinSimilarity(s1, s2) {
     return Math.round(similarity * 1000) / 1000;
 }
 
-// 3. 한국어 기본 음성학적 거리 (단순 버전)
-function koreanPhoneticSimilarity(s1, s2) {
+// 3. 한국어 음성학적 유사도 (자모 가중 편집 거리 정렬)
+
+// 한국어 음성학적 혼동 매핑 (STT가 서로 잘못 듣기 쉬운 자모)
+const PHONETIC_CONFUSION_MAP = {
+    // 자음 혼동 패턴
+    'ㅍ': ['ㅋ', 'ㅂ'],           // 프 ↔ 크, 프 ↔ 브
+    'ㅋ': ['ㅍ', 'ㄱ', 'ㅌ'],      // 크 ↔ 프, 크 ↔ 그, 크 ↔ 트
+    'ㅌ': ['ㄷ', 'ㅊ', 'ㅋ'],      // 트 ↔ 드, 트 ↔ 치, 트 ↔ 크
+    'ㅊ': ['ㅌ', 'ㅈ', 'ㅅ'],      // 치 ↔ 트, 치 ↔ 지, 치 ↔ 시
+    'ㅂ': ['ㅍ', 'ㅁ'],           // 브 ↔ 프, 브 ↔ 므
+    'ㄷ': ['ㅌ', 'ㄴ'],           // 드 ↔ 트, 드 ↔ 느
+    'ㄱ': ['ㅋ'],                // 그 ↔ 크
+    'ㅈ': ['ㅊ'],                // 지 ↔ 치
+    'ㅅ': ['ㅊ'],                // 시 ↔ 치
+    
+    // 모음 혼동 패턴
+    'ㅓ': ['ㅗ', 'ㅡ'],           // 어 ↔ 오, 어 ↔ 으
+    'ㅔ': ['ㅐ', 'ㅖ'],           // 에 ↔ 애, 에 ↔ 예
+    'ㅚ': ['ㅞ', 'ㅙ', 'ㅗ'],      // 외 ↔ 웨, 외 ↔ 왜, 외 ↔ 오
+    'ㅐ': ['ㅔ', 'ㅙ'],           // 애 ↔ 에, 애 ↔ 왜
+    'ㅗ': ['ㅓ', 'ㅚ', 'ㅜ'],      // 오 ↔ 어, 오 ↔ 외, 오 ↔ 우
+    'ㅜ': ['ㅡ', 'ㅗ'],           // 우 ↔ 으, 우 ↔ 오
+    'ㅡ': ['ㅜ', 'ㅓ'],           // 으 ↔ 우, 으 ↔ 어
+    'ㅣ': ['ㅔ'],                // 이 ↔ 에
+};
+
+// 자모 정렬 비용 (일반 치환/삽입/삭제 = 1 기준)
+const PHONETIC_ALIGNMENT_COSTS = {
+    confusion: 0.2,      // 음성학적 혼동 쌍 치환 (ㅍ ↔ ㅋ)
+    compoundPart: 0.4,   // 복합 모음/겹받침과 구성 자모 치환 (ㅘ ↔ ㅏ, ㄺ ↔ ㄱ)
+    substitution: 1,     // 그 외 치환
+    indel: 1,            // 자모 삽입/삭제
+    spaceIndel: 0.5      // 띄어쓰기 삽입/삭제 (STT 띄어쓰기 차이)
+};
+
+// 두 자모의 치환 비용 계산
+function getJamoSubstitutionCost(jamo1, jamo2) {
+    if (jamo1 === jamo2) return 0;
+    
+    if ((PHONETIC_CONFUSION_MAP[jamo1] && PHONETIC_CONFUSION_MAP[jamo1].includes(jamo2)) ||
+        (PHONETIC_CONFUSION_MAP[jamo2] && PHONETIC_CONFUSION_MAP[jamo2].includes(jamo1))) {
+        return PHONETIC_ALIGNMENT_COSTS.confusion;
+    }
+    
+    const hangul = getHangulJamo();
+    if (hangul && (hangul.splitJamo(jamo1).includes(jamo2) || hangul.splitJamo(jamo2).includes(jamo1))) {
+        return PHONETIC_ALIGNMENT_COSTS.compoundPart;
+    }
+    
+    return PHONETIC_ALIGNMENT_COSTS.substitution;
+}
+
+// 자모 하나의 삽입/삭제 비용
+function getJamoIndelCost(jamo) {
+    return /\s/.test(jamo) ? PHONETIC_ALIGNMENT_COSTS.spaceIndel : PHONETIC_ALIGNMENT_COSTS.indel;
+}
+
+/**
+ * 자모 단위 가중 편집 거리 정렬
+ * 치환 비용은 음성학적 혼동 매핑을 따르므로, 음절 하나가 빠지거나 끼어들어도
+ * 나머지 부분은 제자리에 정렬됩니다 ("도어 캠프" vs "도어캠").
+ * @param {string} s1 - 기준 텍스트 (정답)
+ * @param {string} s2 - 비교 텍스트 (후보)
+ * @returns {Object} - { similarity, distance, path: [{ op: 'match' | 'sub' | 'ins' | 'del', a, b, cost, aIndex, bIndex, aRole, bRole }] }
+ *   a/b는 각 텍스트의 자모(없으면 null), aIndex/bIndex는 원문 글자 인덱스,
+ *   aRole/bRole은 자모 위치('cho' | 'jung' | 'jong' | 'other', 없으면 null)
+ */
+function alignKoreanPhonetic(s1, s2) {
     if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
-        return 0;
+        return { similarity: 0, distance: null, path: [] };
     }
     
-    if (s1 === s2) return 1;
+    const hangul = getHangulJamo();
+    const toSequence = (text) => hangul
+        ? hangul.toJamoSequence(text)
+        : [...text].map((jamo, index) => ({ jamo, role: 'other', index }));
+    const seq1 = toSequence(s1);
+    const seq2 = toSequence(s2);
+    const len1 = seq1.length;
+    const len2 = seq2.length;
     
-    // 한국어 음성학적 혼동 매핑 (기본 버전)
-    const phoneticMap = {
-        // 자음 혼동 패턴
-        'ㅍ': ['ㅋ', 'ㅂ'],           // 프 ↔ 크, 프 ↔ 브
-        'ㅋ': ['ㅍ', 'ㄱ', 'ㅌ'],      // 크 ↔ 프, 크 ↔ 그, 크 ↔ 트
-        'ㅌ': ['ㄷ', 'ㅊ', 'ㅋ'],      // 트 ↔ 드, 트 ↔ 치, 트 ↔ 크
-        'ㅊ': ['ㅌ', 'ㅈ', 'ㅅ'],      // 치 ↔ 트, 치 ↔ 지, 치 ↔ 시
-        'ㅂ': ['ㅍ', 'ㅁ'],           // 브 ↔ 프, 브 ↔ 므
-        'ㄷ': ['ㅌ', 'ㄴ'],           // 드 ↔ 트, 드 ↔ 느
-        'ㄱ': ['ㅋ'],                // 그 ↔ 크
-        'ㅈ': ['ㅊ'],                // 지 ↔ 치
-        'ㅅ': ['ㅊ'],                // 시 ↔ 치
-        
-        // 모음 혼동 패턴
-        'ㅓ': ['ㅗ', 'ㅡ'],           // 어 ↔ 오, 어 ↔ 으
-        'ㅔ': ['ㅐ', 'ㅖ'],           // 에 ↔ 애, 에 ↔ 예
-        'ㅚ': ['ㅞ', 'ㅙ', 'ㅗ'],      // 외 ↔ 웨, 외 ↔ 왜, 외 ↔ 오
-        'ㅐ': ['ㅔ', 'ㅙ'],           // 애 ↔ 에, 애 ↔ 왜
-        'ㅗ': ['ㅓ', 'ㅚ', 'ㅜ'],      // 오 ↔ 어, 오 ↔ 외, 오 ↔ 우
-        'ㅜ': ['ㅡ', 'ㅗ'],           // 우 ↔ 으, 우 ↔ 오
-        'ㅡ': ['ㅜ', 'ㅓ'],           // 으 ↔ 우, 으 ↔ 어
-        'ㅣ': ['ㅔ'],                // 이 ↔ 에
-    };
+    // 동적 계획법 (경로 복원을 위해 전체 행렬 유지)
+    const dp = Array.from({ length: len1 + 1 }, () => new Array(len2 + 1).fill(0));
+    for (let i = 1; i <= len1; i++) dp[i][0] = dp[i - 1][0] + getJamoIndelCost(seq1[i - 1].jamo);
+    for (let j = 1; j <= len2; j++) dp[0][j] = dp[0][j - 1] + getJamoIndelCost(seq2[j - 1].jamo);
     
-    // 문자별 음성학적 유사도 점수 계산
-    function getPhoneticScore(char1, char2) {
-        if (char1 === char2) return 1;
-        
-        // 직접 매핑 확인
-        if (phoneticMap[char1] && phoneticMap[char1].includes(char2)) {
-            return 0.8; // 높은 음성학적 유사도
+    for (let i = 1; i <= len1; i++) {
+        for (let j = 1; j <= len2; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j - 1] + getJamoSubstitutionCost(seq1[i - 1].jamo, seq2[j - 1].jamo), // 치환/일치
+                dp[i - 1][j] + getJamoIndelCost(seq1[i - 1].jamo),                              // 삭제
+                dp[i][j - 1] + getJamoIndelCost(seq2[j - 1].jamo)                               // 삽입
+            );
         }
-        if (phoneticMap[char2] && phoneticMap[char2].includes(char1)) {
-            return 0.8;
+    }
+    
+    // 정렬 경로 복원 (치환/일치 → 삭제 → 삽입 순으로 우선)
+    const path = [];
+    const isSame = (x, y) => Math.abs(x - y) < 1e-9;
+    let i = len1;
+    let j = len2;
+    while (i > 0 || j > 0) {
+        const unit1 = seq1[i - 1];
+        const unit2 = seq2[j - 1];
+        
+        if (i > 0 && j > 0) {
+            const cost = getJamoSubstitutionCost(unit1.jamo, unit2.jamo);
+            if (isSame(dp[i][j], dp[i - 1][j - 1] + cost)) {
+                path.push({ op: cost === 0 ? 'match' : 'sub', a: unit1.jamo, b: unit2.jamo, cost, aIndex: unit1.index, bIndex: unit2.index, aRole: unit1.role, bRole: unit2.role });
+                i--;
+                j--;
+                continue;
+            }
         }
         
-        return 0; // 음성학적 연관성 없음
+        if (i > 0 && isSame(dp[i][j], dp[i - 1][j] + getJamoIndelCost(unit1.jamo))) {
+            path.push({ op: 'del', a: unit1.jamo, b: null, cost: getJamoIndelCost(unit1.jamo), aIndex: unit1.index, bIndex: null, aRole: unit1.role, bRole: null });
+            i--;
+        } else {
+            path.push({ op: 'ins', a: null, b: unit2.jamo, cost: getJamoIndelCost(unit2.jamo), aIndex: null, bIndex: unit2.index, aRole: null, bRole: unit2.role });
+            j--;
+        }
     }
+    path.reverse();
     
-    // 단순 문자 대응 방식 (개선 가능)
-    const len1 = s1.length;
-    const len2 = s2.length;
-    const maxLen = Math.max(len1, len2);
-    const minLen = Math.min(len1, len2);
-    
-    let totalScore = 0;
-    let comparisons = 0;
+    const distance = dp[len1][len2];
+    const similarity = Math.max(0, 1 - distance / Math.max(len1, len2));
     
-    // 동일 위치 문자들의 음성학적 유사도 계산
-    for (let i = 0; i < minLen; i++) {
-        totalScore += getPhoneticScore(s1[i], s2[i]);
-        comparisons++;
+    return {
+        similarity: Math.round(similarity * 1000) / 1000,
+        distance: Math.round(distance * 1000) / 1000,
+        path
+    };
+}
+
+// 한국어 음성학적 유사도 (정렬 기반 점수만 반환)
+function koreanPhoneticSimilarity(s1, s2) {
+    if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
+        return 0;
     }
     
-    // 길이 차이에 대한 패널티 적용
-    const lengthPenalty = (maxLen - minLen) / maxLen;
-    let similarity = 0;
+    if (s1 === s2) return 1;
     
-    if (comparisons > 0) {
-        similarity = (totalScore / comparisons) * (1 - lengthPenalty * 0.5);
+    return alignKoreanPhonetic(s1, s2).similarity;
+}
+
+// 3-1. 표준 발음법 규칙 엔진 (발음형 변환)
+// STT는 소리 나는 대로 받아쓰므로("확인" → "화긴", "끝나는" → "끈나는") 양쪽을 발음형으로 바꿔 비교합니다.
+
+// 받침 대표음 (7종성: ㄱ, ㄴ, ㄷ, ㄹ, ㅁ, ㅂ, ㅇ)
+const PRONUNCIATION_FINAL_NEUTRALIZATION = {
+    'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄳ': 'ㄱ', 'ㄺ': 'ㄱ',
+    'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅎ': 'ㄷ',
+    'ㅍ': 'ㅂ', 'ㄿ': 'ㅂ', 'ㅄ': 'ㅂ',
+    'ㄵ': 'ㄴ', 'ㄶ': 'ㄴ',
+    'ㄻ': 'ㅁ',
+    'ㄼ': 'ㄹ', 'ㄽ': 'ㄹ', 'ㄾ': 'ㄹ', 'ㅀ': 'ㄹ'
+};
+
+// 격음화 (ㅎ과 만나 거센소리로)
+const PRONUNCIATION_ASPIRATION = { 'ㄱ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅂ': 'ㅍ', 'ㅈ': 'ㅊ' };
+
+// 경음화 (받침 ㄱ, ㄷ, ㅂ 뒤 된소리로)
+const PRONUNCIATION_TENSIFICATION = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' };
+
+// 비음화 (ㄴ, ㅁ 앞 받침 ㄱ, ㄷ, ㅂ)
+const PRONUNCIATION_NASALIZATION = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' };
+
+// 인접한 두 음절에 규칙을 적용하는 단계 (순서대로 어절 전체에 한 번씩 적용, 어절 끝 음절은 next가 null)
+const PRONUNCIATION_RULE_PASSES = [
+    // 1) ㅎ 관련 규칙(격음화, ㅎ 탈락)과 구개음화 - 연음보다 먼저 적용
+    (cur, next, hangul) => {
+        if (!next) return;
+        const jong = cur.jong;
+
+        if (['ㅎ', 'ㄶ', 'ㅀ'].includes(jong)) {
+            const remain = jong === 'ㅎ' ? '' : hangul.splitJamo(jong)[0];
+            if (PRONUNCIATION_ASPIRATION[next.cho]) {         // 놓고 → 노코
+                next.cho = PRONUNCIATION_ASPIRATION[next.cho];
+                cur.jong = remain;
+            } else if (next.cho === 'ㅅ') {                   // 닿소 → 다쏘
+                next.cho = 'ㅆ';
+                cur.jong = remain;
+            } else if (next.cho === 'ㅇ') {                   // ㅎ 탈락: 좋아 → 조아, 많이 → 만이
+                cur.jong = remain;
+            } else if (next.cho === 'ㄴ') {                   // 놓는 → 논는, 않는 → 안는
+                cur.jong = jong === 'ㅎ' ? 'ㄴ' : remain;
+            }
+            return;
+        }
+
+        if (jong && next.cho === 'ㅎ') {                      // 축하 → 추카, 읽히다 → 일키다
+            const parts = hangul.splitJamo(jong);
+            const last = parts[parts.length - 1];
+            const base = PRONUNCIATION_ASPIRATION[last] ? last : PRONUNCIATION_FINAL_NEUTRALIZATION[last];
+            if (PRONUNCIATION_ASPIRATION[base]) {
+                // 구개음화: ㄷ 뒤 '히'는 '치' (닫히다 → 다치다)
+                next.cho = jong === 'ㄷ' && next.jung === 'ㅣ' ? 'ㅊ' : PRONUNCIATION_ASPIRATION[base];
+                cur.jong = parts.length > 1 ? parts[0] : '';
+            }
+            return;
+        }
+
+        if (next.cho === 'ㅇ' && next.jung === 'ㅣ') {        // 구개음화: 굳이 → 구지, 같이 → 가치
+            if (jong === 'ㄷ') {
+                next.cho = 'ㅈ';
+                cur.jong = '';
+            } else if (jong === 'ㅌ' || jong === 'ㄾ') {
+                next.cho = 'ㅊ';
+                cur.jong = jong === 'ㄾ' ? 'ㄹ' : '';
+            }
+        }
+    },
+
+    // 2) 연음: 받침 + 모음 시작 음절 (확인 → 화긴, 읽어 → 일거)
+    (cur, next, hangul) => {
+        if (!next || !cur.jong || cur.jong === 'ㅇ' || next.cho !== 'ㅇ') return;
+        const parts = hangul.splitJamo(cur.jong);
+        cur.jong = parts.length > 1 ? parts[0] : '';
+        next.cho = parts[parts.length - 1];
+    },
+
+    // 3) 받침 대표음화 (7종성)
+    (cur) => {
+        cur.jong = PRONUNCIATION_FINAL_NEUTRALIZATION[cur.jong] || cur.jong;
+    },
+
+    // 4) 비음화와 유음화 (끝나는 → 끈나는, 종로 → 종노, 신라 → 실라)
+    (cur, next) => {
+        if (!next) return;
+        if (['ㅁ', 'ㅇ', 'ㄱ', 'ㅂ'].includes(cur.jong) && next.cho === 'ㄹ') {
+            next.cho = 'ㄴ';
+        }
+        if (PRONUNCIATION_NASALIZATION[cur.jong] && ['ㄴ', 'ㅁ'].includes(next.cho)) {
+            cur.jong = PRONUNCIATION_NASALIZATION[cur.jong];
+        } else if (cur.jong === 'ㄴ' && next.cho === 'ㄹ') {
+            cur.jong = 'ㄹ';
+        } else if (cur.jong === 'ㄹ' && next.cho === 'ㄴ') {
+            next.cho = 'ㄹ';
+        }
+    },
+
+    // 5) 경음화: 받침 ㄱ, ㄷ, ㅂ 뒤 평음 (학교 → 학꾜, 값이 → 갑씨)
+    (cur, next) => {
+        if (next && ['ㄱ', 'ㄷ', 'ㅂ'].includes(cur.jong) && PRONUNCIATION_TENSIFICATION[next.cho]) {
+            next.cho = PRONUNCIATION_TENSIFICATION[next.cho];
+        }
     }
-    
+];
+
+// 어절 하나를 발음형으로 변환
+function pronounceWord(word, hangul) {
+    const syllables = [...word].map(ch => hangul.decomposeSyllable(ch) || ch);
+
+    PRONUNCIATION_RULE_PASSES.forEach(pass => {
+        syllables.forEach((cur, i) => {
+            if (typeof cur === 'string') return;
+            const next = typeof syllables[i + 1] === 'object' ? syllables[i + 1] : null;
+            pass(cur, next, hangul);
+        });
+    });
+
+    return syllables
+        .map(syllable => typeof syllable === 'string' ? syllable : hangul.composeSyllable(syllable.cho, syllable.jung, syllable.jong))
+        .join('');
+}
+
+/**
+ * 텍스트를 표준 발음법에 따른 발음형으로 변환
+ * 연음, 비음화, 유음화, 경음화, 구개음화, 격음화, ㅎ 탈락, 받침 대표음화를 어절 단위로 적용합니다.
+ * @param {string} text - 입력 텍스트
+ * @returns {string} - 발음형 텍스트 (예: "확인" → "화긴")
+ */
+function toPronouncedForm(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    const hangul = getHangulJamo();
+    if (!hangul) return text;
+
+    return text.split(/(\s+)/).map(token => /\s/.test(token) ? token : pronounceWord(token, hangul)).join('');
+}
+
+// 발음형 기준 유사도 (양쪽을 발음형으로 변환한 뒤 자모 정렬 비교)
+function pronunciationSimilarity(s1, s2) {
+    if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
+        return 0;
+    }
+
+    if (s1 === s2) return 1;
+
+    return alignKoreanPhonetic(toPronouncedForm(s1), toPronouncedForm(s2)).similarity;
+}
+
+// 3-2. 어순/군더더기 말에 덜 민감한 메트릭 (문자 n-gram Dice, 토큰 집합 비율, 최장 공통 부분 문자열 비율)
+// Jaro-Winkler/Levenshtein은 어순이 바뀌거나 군더더기 말이 붙으면 ("예쁜 티파늄" ↔ "티타늄") 점수가 크게 떨어지므로 함께 계산합니다.
+
+// 문자 n-gram 목록 (공백 제외, n보다 짧으면 문자열 전체를 하나의 n-gram으로 사용)
+function getCharacterNgrams(text, n) {
+    const compact = text.replace(/\s+/g, '');
+    if (compact.length <= n) return compact ? [compact] : [];
+
+    const ngrams = [];
+    for (let i = 0; i <= compact.length - n; i++) {
+        ngrams.push(compact.slice(i, i + n));
+    }
+    return ngrams;
+}
+
+// 문자 n-gram Dice 계수 (2 × 공통 n-gram 수 / 전체 n-gram 수, 중복 n-gram은 개수만큼 비교)
+function ngramDiceSimilarity(s1, s2, n = 2) {
+    if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
+        return 0;
+    }
+
+    if (s1 === s2) return 1;
+
+    const ngrams1 = getCharacterNgrams(s1, n);
+    const ngrams2 = getCharacterNgrams(s2, n);
+    if (ngrams1.length === 0 || ngrams2.length === 0) return 0;
+
+    const counts = new Map();
+    ngrams1.forEach(ngram => counts.set(ngram, (counts.get(ngram) || 0) + 1));
+
+    let common = 0;
+    ngrams2.forEach(ngram => {
+        const count = counts.get(ngram) || 0;
+        if (count > 0) {
+            common++;
+            counts.set(ngram, count - 1);
+        }
+    });
+
+    const similarity = (2 * common) / (ngrams1.length + ngrams2.length);
+    return Math.round(similarity * 1000) / 1000;
+}
+
+// 토큰 집합 비율 (어절 집합의 공통 부분과 나머지를 정렬해 이어 붙인 뒤 Levenshtein 유사도 중 최댓값)
+// 어순이 달라도 같은 어절이면 1, 한쪽 어절이 다른 쪽에 모두 포함되어도 1 ("티타늄" ↔ "예쁜 티타늄")
+function tokenSetRatio(s1, s2) {
+    if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
+        return 0;
+    }
+
+    if (s1 === s2) return 1;
+
+    const tokens1 = new Set(s1.split(/\s+/).filter(Boolean));
+    const tokens2 = new Set(s2.split(/\s+/).filter(Boolean));
+    if (tokens1.size === 0 || tokens2.size === 0) return 0;
+
+    const intersection = [...tokens1].filter(token => tokens2.has(token)).sort();
+    const rest1 = [...tokens1].filter(token => !tokens2.has(token)).sort();
+    const rest2 = [...tokens2].filter(token => !tokens1.has(token)).sort();
+
+    const common = intersection.join(' ');
+    const combined1 = [common, ...rest1].filter(Boolean).join(' ');
+    const combined2 = [common, ...rest2].filter(Boolean).join(' ');
+
+    return Math.max(
+        levenshteinSimilarity(common, combined1),
+        levenshteinSimilarity(common, combined2),
+        levenshteinSimilarity(combined1, combined2)
+    );
+}
+
+// 최장 공통 부분 문자열 비율 (2 × 최장 공통 부분 문자열 길이 / 두 문자열 길이 합, 공백 제외)
+function longestCommonSubstringRatio(s1, s2) {
+    if (!s1 || !s2 || typeof s1 !== 'string' || typeof s2 !== 'string') {
+        return 0;
+    }
+
+    if (s1 === s2) return 1;
+
+    const a = s1.replace(/\s+/g, '');
+    const b = s2.replace(/\s+/g, '');
+    if (a.length === 0 || b.length === 0) return 0;
+
+    // 동적 계획법 (이전 행만 유지)
+    let prevRow = new Array(b.length + 1).fill(0);
+    let currRow = new Array(b.length + 1).fill(0);
+    let longest = 0;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            currRow[j] = a[i - 1] === b[j - 1] ? prevRow[j - 1] + 1 : 0;
+            if (currRow[j] > longest) longest = currRow[j];
+        }
+        [prevRow, currRow] = [currRow, prevRow];
+    }
+
+    const similarity = (2 * longest) / (a.length + b.length);
     return Math.round(similarity * 1000) / 1000;
 }
 
+// 3-3. 긴 발화 안의 키워드 스포팅 (자모 단위 semi-global 정렬)
+// 키워드는 전부 정렬하고 발화 앞뒤는 비용 없이 건너뛰므로, 발화에서 키워드와 가장 가까운 구간을 찾습니다.
+// 찾은 구간은 음절 단위로 잘라 키워드와 다시 정렬한 점수를 씁니다.
+// 치환/삽입/삭제 비용은 alignKoreanPhonetic()과 같습니다. ("티파늄 케이스를" 안의 "티타늄")
+
+const KEYWORD_SPOTTING_THRESHOLD = 0.8; // 이 점수 이상이면 키워드가 포함된 것으로 판정
+
+/**
+ * 발화에서 키워드와 가장 잘 맞는 구간 찾기
+ * @param {string} keyword - 키워드
+ * @param {string} text - 발화 텍스트
+ * @param {Object} options - { threshold } 포함 판정 기준 점수 (기본 KEYWORD_SPOTTING_THRESHOLD)
+ * @returns {Object} - { found, exact, score, distance, start, end, text }
+ *   start/end는 발화의 글자 인덱스 (end 제외), 찾지 못해도 가장 가까운 구간을 반환
+ */
+function spotKeyword(keyword, text, options = {}) {
+    const threshold = options.threshold ?? KEYWORD_SPOTTING_THRESHOLD;
+    const notFound = { found: false, exact: false, score: 0, distance: null, start: -1, end: -1, text: '' };
+    if (!keyword || !text || typeof keyword !== 'string' || typeof text !== 'string') {
+        return notFound;
+    }
+
+    const target = keyword.trim().toLowerCase();
+    const source = text.toLowerCase();
+    if (!target) return notFound;
+
+    // 정확히 포함된 경우
+    const exactIndex = source.indexOf(target);
+    if (exactIndex !== -1) {
+        return {
+            found: true,
+            exact: true,
+            score: 1,
+            distance: 0,
+            start: exactIndex,
+            end: exactIndex + target.length,
+            text: text.slice(exactIndex, exactIndex + target.length)
+        };
+    }
+
+    const hangul = getHangulJamo();
+    const toSequence = (value) => hangul
+        ? hangul.toJamoSequence(value)
+        : [...value].map((jamo, index) => ({ jamo, role: 'other', index }));
+    const seq1 = toSequence(target);
+    const seq2 = toSequence(source);
+    const len1 = seq1.length;
+    const len2 = seq2.length;
+    if (len1 === 0 || len2 === 0) return notFound;
+
+    // 동적 계획법 (이전 행만 유지, startRow는 각 칸까지의 정렬이 시작된 발화 자모 위치)
+    let prevRow = new Array(len2 + 1).fill(0);
+    let prevStart = Array.from({ length: len2 + 1 }, (_, j) => j);
+    for (let i = 1; i <= len1; i++) {
+        const currRow = new Array(len2 + 1);
+        const currStart = new Array(len2 + 1);
+        const deleteCost = getJamoIndelCost(seq1[i - 1].jamo);
+        currRow[0] = prevRow[0] + deleteCost;
+        currStart[0] = 0;
+
+        for (let j = 1; j <= len2; j++) {
+            const substitute = prevRow[j - 1] + getJamoSubstitutionCost(seq1[i - 1].jamo, seq2[j - 1].jamo);
+            const remove = prevRow[j] + deleteCost;
+            const insert = currRow[j - 1] + getJamoIndelCost(seq2[j - 1].jamo);
+
+            if (substitute <= remove && substitute <= insert) {
+                currRow[j] = substitute;
+                currStart[j] = prevStart[j - 1];
+            } else if (remove <= insert) {
+                currRow[j] = remove;
+                currStart[j] = prevStart[j];
+            } else {
+                currRow[j] = insert;
+                currStart[j] = currStart[j - 1];
+            }
+        }
+        prevRow = currRow;
+        prevStart = currStart;
+    }
+
+    // 발화 끝 위치 중 비용이 가장 작은 곳 (같으면 앞쪽)
+    let bestEnd = 1;
+    for (let j = 2; j <= len2; j++) {
+        if (prevRow[j] < prevRow[bestEnd] - 1e-9) bestEnd = j;
+    }
+    const bestStart = Math.min(prevStart[bestEnd], bestEnd - 1);
+
+    // 구간은 음절 단위로 넓혀지므로, 점수는 키워드와 구간 전체를 다시 정렬해 계산 ("전화" ↔ "전환"의 남는 받침도 반영)
+    const start = seq2[bestStart].index;
+    const end = seq2[bestEnd - 1].index + 1;
+    const alignment = alignKoreanPhonetic(target, source.slice(start, end));
+
+    return {
+        found: alignment.similarity >= threshold,
+        exact: false,
+        score: alignment.similarity,
+        distance: alignment.distance,
+        start,
+        end,
+        text: text.slice(start, end)
+    };
+}
+
+// 3-4. 문자/단어 오류율 (CER/WER)
+// 정답을 기준(reference)으로 후보(hypothesis)를 편집 거리 정렬해 치환(S)/삽입(I)/삭제(D) 수를 셉니다.
+// 오류율 = (S + I + D) / 정답 단위 수 (삽입이 많으면 1을 넘을 수 있음)
+// 문장부호는 비교에서 빼며, CER은 띄어쓰기도 빼고 음절 단위로 비교합니다.
+
+/**
+ * 단위 목록 편집 거리 정렬과 오류 수 집계
+ * @param {Array} reference - 정답 단위 (글자 또는 어절)
+ * @param {Array} hypothesis - 후보 단위
+ * @returns {Object} - { rate, substitutions, insertions, deletions, hits, referenceLength, alignment: [{ op, ref, hyp }] }
+ *   op는 'match' | 'sub' | 'ins' | 'del', 없는 쪽은 null
+ */
+function alignErrorRateUnits(reference, hypothesis) {
+    const n = reference.length;
+    const m = hypothesis.length;
+    const dp = Array.from({ length: n + 1 }, (_, i) => {
+        const row = new Array(m + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= m; j++) dp[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1),
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1
+            );
+        }
+    }
+
+    // 경로 복원 (치환/일치 → 삭제 → 삽입 순으로 우선)
+    const alignment = [];
+    const counts = { match: 0, sub: 0, ins: 0, del: 0 };
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        let step;
+        if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1)) {
+            step = { op: reference[i - 1] === hypothesis[j - 1] ? 'match' : 'sub', ref: reference[i - 1], hyp: hypothesis[j - 1] };
+            i--;
+            j--;
+        } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+            step = { op: 'del', ref: reference[i - 1], hyp: null };
+            i--;
+        } else {
+            step = { op: 'ins', ref: null, hyp: hypothesis[j - 1] };
+            j--;
+        }
+        counts[step.op]++;
+        alignment.push(step);
+    }
+    alignment.reverse();
+
+    const errors = counts.sub + counts.ins + counts.del;
+    const rate = n > 0 ? errors / n : (m > 0 ? 1 : 0);
+    return {
+        rate: Math.round(rate * 1000) / 1000,
+        substitutions: counts.sub,
+        insertions: counts.ins,
+        deletions: counts.del,
+        hits: counts.match,
+        referenceLength: n,
+        alignment
+    };
+}
+
+// 오류율 비교용 정리 (문장부호 제거, 숫자 사이의 소수점/자릿수 구분은 유지, 연속 공백 정리)
+function normalizeForErrorRate(text) {
+    return String(text ?? '')
+        .replace(/(?<!\d)[.,]|[.,](?!\d)|[^\P{P}.,]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 문자 오류율 (CER, 음절 단위, 띄어쓰기/문장부호 제외)
+ * ("이번 티타늄 케이스" vs "이번 티파늄 케이스를" → 치환 1, 삽입 1, 정답 8자 → 0.25)
+ * @param {string} expected - 정답 문장
+ * @param {string} candidate - 후보 문장
+ * @returns {Object} - alignErrorRateUnits() 결과
+ */
+function calculateCER(expected, candidate) {
+    const toChars = (text) => [...normalizeForErrorRate(text).replace(/\s+/g, '')];
+    return alignErrorRateUnits(toChars(expected), toChars(candidate));
+}
+
+/**
+ * 단어 오류율 (WER, 어절 단위, 문장부호 제외)
+ * ("이번 티타늄 케이스" vs "이번 티파늄 케이스를" → 치환 2, 정답 3어절 → 0.667)
+ * @param {string} expected - 정답 문장
+ * @param {string} candidate - 후보 문장
+ * @returns {Object} - alignErrorRateUnits() 결과
+ */
+function calculateWER(expected, candidate) {
+    const toWords = (text) => normalizeForErrorRate(text).split(' ').filter(Boolean);
+    return alignErrorRateUnits(toWords(expected), toWords(candidate));
+}
+
 // 4. STT 통합 유사도 계산 함수
-function calculateSTTSimilarity(s1, s2, weights = {}) {
+// options.level: 'syllable'(기본) 또는 'jamo' - Jaro-Winkler/Levenshtein 비교 단위
+// options.spacing: 'keep'(기본), 'remove' 또는 'resegment' - 비교 전 양쪽 띄어쓰기 정규화
+function calculateSTTSimilarity(s1, s2, weights = {}, options = {}) {
+    s1 = applySpacingMode(s1, options.spacing);
+    s2 = applySpacingMode(s2, options.spacing);
+
     const defaultWeights = {
         jaroWinkler: 0.4,     // 부분 일치 중시
         levenshtein: 0.3,     // 편집 거리
-        phonetic: 0.3         // 음성학적 유사성
+        phonetic: 0.3,        // 음성학적 유사성
+        bigramDice: 0,        // 이하 보조 메트릭 (기본 가중치 0, weights로 지정 가능)
+        trigramDice: 0,
+        tokenSet: 0,
+        lcsRatio: 0
     };
     
     const finalWeights = { ...defaultWeights, ...weights };
     
     const metrics = {
-        jaroWinkler: jaroWinklerSimilarity(s1, s2),
-        levenshtein: levenshteinSimilarity(s1, s2),
-        phonetic: koreanPhoneticSimilarity(s1, s2)
+        jaroWinkler: jaroWinklerSimilarity(s1, s2, options),
+        levenshtein: levenshteinSimilarity(s1, s2, options),
+        phonetic: koreanPhoneticSimilarity(s1, s2),
+        bigramDice: ngramDiceSimilarity(s1, s2, 2),
+        trigramDice: ngramDiceSimilarity(s1, s2, 3),
+        tokenSet: tokenSetRatio(s1, s2),
+        lcsRatio: longestCommonSubstringRatio(s1, s2)
     };
     
     // 가중 평균 계산
-    const weightedScore = 
-        finalWeights.jaroWinkler * metrics.jaroWinkler +
-        finalWeights.levenshtein * metrics.levenshtein +
-        finalWeights.phonetic * metrics.phonetic;
+    const weightedScore = Object.keys(metrics)
+        .reduce((sum, key) => sum + (finalWeights[key] || 0) * metrics[key], 0);
     
     return {
         ...metrics,
@@ -227,56 +813,314 @@ function calculateSTTSimilarity(s1, s2, weights = {}) {
     };
 }
 
-// 5. 한국어 특화 STT 오류 패턴 정의 (확장된 버전)
-const KOREAN_STT_ERROR_PATTERNS = {
+// 5. 한국어 특화 STT 오류 패턴 정의 (확장된 버전, 분류별)
+// 분류는 오류 패턴 사전에서 검색/관리하는 데 쓰입니다 (STT_ERROR_PATTERN_CATEGORIES).
+const KOREAN_STT_ERROR_PATTERN_GROUPS = {
     // 종성 혼동 (받침 소리)
-    '끝나는': ['끊나는', '끈나는', '끙나는'],
-    '도와드리겠습니다': ['보안드리겠습니다', '도안드리겠습니다', '도와드기겠습니다', '도와드립겠습니다'],
-    '준비': ['즌비', '준배', '즁비'],
-    '확인': ['화긴', '확긴', '확인해', '확인을'],
-    '필요': ['핑요', '비료', '필료', '필요해'],
+    '종성': {
+        '끝나는': ['끊나는', '끈나는', '끙나는'],
+        '도와드리겠습니다': ['보안드리겠습니다', '도안드리겠습니다', '도와드기겠습니다', '도와드립겠습니다'],
+        '준비': ['즌비', '준배', '즁비'],
+        '확인': ['화긴', '확긴', '확인해', '확인을'],
+        '필요': ['핑요', '비료', '필료', '필요해']
+    },
     
     // 모음 혼동
-    '서류': ['서뤼', '설류', '셔류', '서루'],
-    '클라우드': ['클라우두', '클라우드로', '클라둣', '클라우드를'],
-    '인치': ['인치로', '인지', '인차', '인치를'],
-    '외부': ['웨부', '외부를', '외뷰'],
-    '고객님': ['고객님께', '고객닙', '고객님이', '고객님을'],
+    '모음': {
+        '서류': ['서뤼', '설류', '셔류', '서루'],
+        '클라우드': ['클라우두', '클라우드로', '클라둣', '클라우드를'],
+        '인치': ['인치로', '인지', '인차', '인치를'],
+        '외부': ['웨부', '외부를', '외뷰'],
+        '고객님': ['고객님께', '고객닙', '고객님이', '고객님을']
+    },
     
     // 자음 혼동 (ㅍ↔ㅋ, ㅌ↔ㄷ 등)
-    '티타늄': ['티파늄', '키타늄', '티타니움'],
-    '프로': ['크로', '프로를', '플로'],
-    '캔바': ['캔바를', '켄바', '캔바스'],
-    '스케일러': ['스케일로', '스케일러를', '스케일'],
+    '자음': {
+        '티타늄': ['티파늄', '키타늄', '티타니움'],
+        '프로': ['크로', '프로를', '플로'],
+        '캔바': ['캔바를', '켄바', '캔바스'],
+        '스케일러': ['스케일로', '스케일러를', '스케일']
+    },
     
     // 복합 오류 (길이가 긴 단어/구문)
-    '번거로우시겠지만': ['번거로우셨지만', '번거로시겠지만', '번거로우시겠습니다만', '번거로우시겠지만서'],
-    '죄송하지만': ['죄송합니다만', '죄송하시만', '죄송하지만서', '죄송하지만은'],
-    '감사합니다': ['감사합니다요', '감사드립니다', '감사해요', '고맙습니다'],
+    '기타': {
+        '번거로우시겠지만': ['번거로우셨지만', '번거로시겠지만', '번거로우시겠습니다만', '번거로우시겠지만서'],
+        '죄송하지만': ['죄송합니다만', '죄송하시만', '죄송하지만서', '죄송하지만은'],
+        '감사합니다': ['감사합니다요', '감사드립니다', '감사해요', '고맙습니다']
+    },
     
     // 숫자 관련 오류
-    '8인치': ['알 인치', '8 인치', '팔 인치', '팔인치'],
-    '10분': ['십분', '10 분', '열분', '10분간'],
-    '4.2mm': ['4점2미리', '4.2미리', '사점이미리'],
+    '숫자': {
+        '8인치': ['알 인치', '8 인치', '팔 인치', '팔인치'],
+        '10분': ['십분', '10 분', '열분', '10분간'],
+        '4.2mm': ['4점2미리', '4.2미리', '사점이미리']
+    },
     
     // 기술 용어 관련
-    'CCTV': ['씨씨티비', 'CC TV', '시시티비'],
-    'WiFi': ['와이파이', '와이 파이', '와파이'],
-    'USB': ['유에스비', 'U S B', '유에스비포트']
+    '기술용어': {
+        'CCTV': ['씨씨티비', 'CC TV', '시시티비'],
+        'WiFi': ['와이파이', '와이 파이', '와파이'],
+        'USB': ['유에스비', 'U S B', '유에스비포트']
+    }
 };
 
-// 6. 패턴 기반 STT 오류 보정 함수
+// 오류 패턴 분류 (기타: 복합 오류와 분류하지 않은 학습 패턴)
+const STT_ERROR_PATTERN_CATEGORIES = ['종성', '모음', '자음', '숫자', '기술용어', '기타'];
+
+// 분류 없이 합친 기본 패턴 { 정답: [오류, ...] }
+const KOREAN_STT_ERROR_PATTERNS = Object.assign({}, ...Object.values(KOREAN_STT_ERROR_PATTERN_GROUPS));
+
+// 5-1. 오류 패턴 저장소 (버전 관리, localStorage 저장)
+// KOREAN_STT_ERROR_PATTERNS는 기본 패턴(builtin)이고, 승인된 후보에서 학습한 패턴(learned)과
+// 오류 패턴 사전에서 직접 추가한 패턴(manual)이 더해집니다.
+// 보정 함수들은 저장소에서 만든 { 정답: [오류, ...] } 매핑(사용 중인 패턴만)을 실행 시점에 읽습니다.
+
+// 저장소 저장 키 (localStorage)
+const STT_ERROR_PATTERN_STORAGE_KEY = 'sttErrorPatternStore';
+
+// 기본 저장소 (KOREAN_STT_ERROR_PATTERNS 기준, 버전 1)
+function getDefaultSTTErrorPatternStore() {
+    return {
+        version: 1,
+        updated_at: null,
+        patterns: Object.entries(KOREAN_STT_ERROR_PATTERN_GROUPS).flatMap(([category, group]) =>
+            Object.entries(group).flatMap(([correct, errors]) =>
+                errors.map(error => ({ correct, error, category, enabled: true, source: 'builtin', count: 0 }))))
+    };
+}
+
+/**
+ * 저장소 구조 검사
+ * @param {Object} store - { version, updated_at, patterns: [{ correct, error, category, enabled, source, count }] }
+ * @returns {Array} - 오류 목록
+ */
+function validateSTTErrorPatternStore(store) {
+    if (!store || !Array.isArray(store.patterns)) return ['저장소에 patterns 배열이 없습니다.'];
+    if (!Number.isInteger(store.version) || store.version < 1) return ['저장소 version은 1 이상의 정수여야 합니다.'];
+
+    const errors = [];
+    store.patterns.forEach((pattern, index) => {
+        if (!pattern || typeof pattern.correct !== 'string' || typeof pattern.error !== 'string' || !pattern.correct || !pattern.error) {
+            errors.push(`${index + 1}번째 패턴: correct와 error 문자열이 필요합니다.`);
+        } else if (pattern.correct === pattern.error) {
+            errors.push(`${index + 1}번째 패턴: correct와 error가 같습니다 (${pattern.correct}).`);
+        } else if (pattern.category !== undefined && !STT_ERROR_PATTERN_CATEGORIES.includes(pattern.category)) {
+            errors.push(`${index + 1}번째 패턴: 알 수 없는 분류입니다 (${pattern.category}).`);
+        }
+    });
+    return errors;
+}
+
+// 빠진 필드 채우기 (category/enabled가 없는 이전 저장소와 가져온 사전 호환)
+function normalizeSTTErrorPattern(pattern) {
+    return {
+        correct: pattern.correct,
+        error: pattern.error,
+        category: pattern.category || '기타',
+        enabled: pattern.enabled !== false,
+        source: pattern.source || 'manual',
+        count: pattern.count || 0
+    };
+}
+
+// 저장소 패턴을 { 정답: [오류, ...] } 매핑으로 변환 (사용하지 않는 패턴 제외)
+function buildSTTErrorPatternMap(store) {
+    const map = {};
+    store.patterns.forEach(({ correct, error, enabled }) => {
+        if (enabled === false) return;
+        if (!map[correct]) map[correct] = [];
+        if (!map[correct].includes(error)) map[correct].push(error);
+    });
+    return map;
+}
+
+let sttErrorPatternStore = getDefaultSTTErrorPatternStore();
+let sttErrorPatternMap = buildSTTErrorPatternMap(sttErrorPatternStore);
+
+// 브라우저 localStorage (Node.js 환경이나 접근이 막힌 경우 null, preprocessing.js의 getLocalStorage와 전역 이름이 겹치지 않게 별도 이름 사용)
+function getBrowserStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 현재 저장소를 localStorage에 저장
+function saveSTTErrorPatternStore() {
+    const storage = getBrowserStorage();
+    if (storage) storage.setItem(STT_ERROR_PATTERN_STORAGE_KEY, JSON.stringify(sttErrorPatternStore));
+}
+
+/**
+ * 사용할 저장소 교체 (구조 오류가 있으면 교체하지 않고 예외)
+ * @param {Object} store - 새 저장소
+ */
+function setSTTErrorPatternStore(store) {
+    const errors = validateSTTErrorPatternStore(store);
+    if (errors.length > 0) {
+        throw new Error(`STT 오류 패턴 저장소를 적용할 수 없습니다.\n${errors.join('\n')}`);
+    }
+
+    sttErrorPatternStore = {
+        version: store.version,
+        updated_at: store.updated_at || null,
+        patterns: store.patterns.map(normalizeSTTErrorPattern)
+    };
+    sttErrorPatternMap = buildSTTErrorPatternMap(sttErrorPatternStore);
+}
+
+// 현재 저장소 (복사본)
+function getSTTErrorPatternStore() {
+    return JSON.parse(JSON.stringify(sttErrorPatternStore));
+}
+
+// 보정에 사용할 { 정답: [오류, ...] } 매핑
+function getSTTErrorPatterns() {
+    return sttErrorPatternMap;
+}
+
+// 패턴 목록을 바꾼 새 버전으로 교체 후 저장
+function commitSTTErrorPatterns(patterns) {
+    setSTTErrorPatternStore({
+        ...sttErrorPatternStore,
+        version: sttErrorPatternStore.version + 1,
+        updated_at: new Date().toISOString(),
+        patterns
+    });
+    saveSTTErrorPatternStore();
+}
+
+// 정답/오류 쌍으로 저장소 패턴 위치 찾기 (없으면 -1)
+function findSTTErrorPatternIndex(correct, error) {
+    return sttErrorPatternStore.patterns.findIndex(pattern => pattern.correct === correct && pattern.error === error);
+}
+
+/**
+ * 학습한 패턴을 저장소에 추가 (이미 있는 정답/오류 쌍은 건너뜀, 추가되면 버전 증가 후 저장)
+ * @param {Array} patterns - [{ correct, error, count, category }]
+ * @returns {number} - 추가된 패턴 수
+ */
+function addLearnedSTTErrorPatterns(patterns) {
+    const existing = new Set(sttErrorPatternStore.patterns.map(pattern => `${pattern.correct}\u0000${pattern.error}`));
+    const added = (patterns || [])
+        .filter(pattern => pattern && pattern.correct && pattern.error && pattern.correct !== pattern.error)
+        .filter(pattern => {
+            const key = `${pattern.correct}\u0000${pattern.error}`;
+            if (existing.has(key)) return false;
+            existing.add(key);
+            return true;
+        })
+        .map(pattern => normalizeSTTErrorPattern({ ...pattern, source: 'learned' }));
+
+    if (added.length === 0) return 0;
+
+    commitSTTErrorPatterns([...sttErrorPatternStore.patterns, ...added]);
+    return added.length;
+}
+
+/**
+ * 오류 패턴 사전에 패턴 직접 추가 (이미 있거나 잘못된 패턴이면 예외)
+ * @param {Object} pattern - { correct, error, category }
+ */
+function addSTTErrorPattern(pattern) {
+    const correct = String(pattern?.correct ?? '').trim();
+    const error = String(pattern?.error ?? '').trim();
+    if (!correct || !error) throw new Error('정답과 오류를 모두 입력해주세요.');
+    if (correct === error) throw new Error('정답과 오류가 같습니다.');
+    if (findSTTErrorPatternIndex(correct, error) !== -1) throw new Error(`이미 있는 패턴입니다: ${correct} ← ${error}`);
+
+    commitSTTErrorPatterns([
+        ...sttErrorPatternStore.patterns,
+        normalizeSTTErrorPattern({ correct, error, category: pattern.category, source: 'manual' })
+    ]);
+}
+
+/**
+ * 패턴의 분류/사용 여부 변경 (없는 패턴이면 예외)
+ * @param {string} correct - 정답
+ * @param {string} error - 오류
+ * @param {Object} changes - { category, enabled }
+ */
+function updateSTTErrorPattern(correct, error, changes) {
+    const index = findSTTErrorPatternIndex(correct, error);
+    if (index === -1) throw new Error(`패턴을 찾을 수 없습니다: ${correct} ← ${error}`);
+
+    const patterns = sttErrorPatternStore.patterns.slice();
+    const { category, enabled } = { ...patterns[index], ...changes };
+    patterns[index] = { ...patterns[index], category, enabled: enabled !== false };
+    commitSTTErrorPatterns(patterns);
+}
+
+// 패턴 삭제 (없는 패턴이면 예외)
+function removeSTTErrorPattern(correct, error) {
+    const index = findSTTErrorPatternIndex(correct, error);
+    if (index === -1) throw new Error(`패턴을 찾을 수 없습니다: ${correct} ← ${error}`);
+
+    commitSTTErrorPatterns(sttErrorPatternStore.patterns.filter((_, i) => i !== index));
+}
+
+// 저장소를 JSON 문자열로 내보내기 (팀 공유용)
+function exportSTTErrorPatternStore() {
+    return JSON.stringify(sttErrorPatternStore, null, 2);
+}
+
+// JSON 문자열로 저장소 가져오기 후 저장 (가져온 사전의 버전을 그대로 사용, 패턴 수 반환)
+function importSTTErrorPatternStore(jsonText) {
+    let store;
+    try {
+        store = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`오류 패턴 JSON을 읽을 수 없습니다: ${error.message}`);
+    }
+    setSTTErrorPatternStore(store);
+    saveSTTErrorPatternStore();
+    return sttErrorPatternStore.patterns.length;
+}
+
+// 기본 패턴으로 복원 (저장된 저장소 삭제)
+function resetSTTErrorPatternStore() {
+    setSTTErrorPatternStore(getDefaultSTTErrorPatternStore());
+    const storage = getBrowserStorage();
+    if (storage) storage.removeItem(STT_ERROR_PATTERN_STORAGE_KEY);
+}
+
+// 저장된 저장소 불러오기 (없거나 잘못되었으면 기본 패턴 유지, 오류 목록 반환)
+function loadSTTErrorPatternStore() {
+    const storage = getBrowserStorage();
+    const saved = storage ? storage.getItem(STT_ERROR_PATTERN_STORAGE_KEY) : null;
+    if (!saved) return [];
+
+    try {
+        setSTTErrorPatternStore(JSON.parse(saved));
+        return [];
+    } catch (error) {
+        return [`저장된 STT 오류 패턴을 사용할 수 없어 기본 패턴을 사용합니다: ${error.message}`];
+    }
+}
+
+// 6. 패턴 기반 STT 오류 보정 함수 (오류 패턴 저장소 기준)
 function correctSTTErrorsByPattern(text, targetKeyword) {
     let correctedText = text;
     let corrections = [];
     
     // 각 오류 패턴에 대해 검사 및 보정
-    for (const [correct, errors] of Object.entries(KOREAN_STT_ERROR_PATTERNS)) {
+    for (const [correct, errors] of Object.entries(getSTTErrorPatterns())) {
         for (const error of errors) {
             if (correctedText.includes(error)) {
-                // 대상 키워드와 관련된 경우에만 보정
+                // 대상 키워드와 관련된 경우에만 보정 (학습 패턴에 정규식 특수문자가 있을 수 있으므로 이스케이프)
+                // 정답 표기와 오류 표기를 긴 쪽부터 함께 찾아 오류 표기만 바꿈
+                // ("캠" → "캠프" 패턴이 "캠프"를 "캠프프"로 바꾸지 않고, "확인해" → "확인" 패턴은 "확인해"를 그대로 바꿈)
                 if (!targetKeyword || correct.includes(targetKeyword) || targetKeyword.includes(correct)) {
-                    correctedText = correctedText.replace(new RegExp(error, 'g'), correct);
+                    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+                    const pattern = new RegExp([correct, error]
+                        .sort((a, b) => b.length - a.length)
+                        .map(escape)
+                        .join("|"), "g");
+                    const replaced = correctedText.replace(pattern, match => match === error ? correct : match);
+                    if (replaced === correctedText) continue;
+
+                    correctedText = replaced;
                     corrections.push({
                         original: error,
                         corrected: correct,
@@ -347,12 +1191,12 @@ function calculateEnhancedSTTSimilarity(s1, s2, targetKeyword = null) {
 }
 
 // 8. Wrapper 함수들 (기존 코드 호환성을 위해)
-function calculateJaroWinkler(s1, s2) {
-    return jaroWinklerSimilarity(s1, s2);
+function calculateJaroWinkler(s1, s2, options = {}) {
+    return jaroWinklerSimilarity(s1, s2, options);
 }
 
-function calculateLevenshtein(s1, s2) {
-    return levenshteinSimilarity(s1, s2);
+function calculateLevenshtein(s1, s2, options = {}) {
+    return levenshteinSimilarity(s1, s2, options);
 }
 
 function calculatePhonetic(s1, s2) {
@@ -395,6 +1239,15 @@ if (typeof module !== 'undefined' && module.exports) {
         jaroWinklerSimilarity,
         levenshteinSimilarity,
         koreanPhoneticSimilarity,
+        alignKoreanPhonetic,
+        toPronouncedForm,
+        pronunciationSimilarity,
+        ngramDiceSimilarity,
+        tokenSetRatio,
+        longestCommonSubstringRatio,
+        spotKeyword,
+        calculateCER,
+        calculateWER,
         calculateSTTSimilarity,
         analyzeSTTSimilarity,
         
@@ -406,8 +1259,29 @@ if (typeof module !== 'undefined' && module.exports) {
         calculatePhonetic,
         calculateEnsemble,
         
+        // 오류 패턴 저장소
+        getDefaultSTTErrorPatternStore,
+        validateSTTErrorPatternStore,
+        setSTTErrorPatternStore,
+        getSTTErrorPatternStore,
+        getSTTErrorPatterns,
+        addLearnedSTTErrorPatterns,
+        addSTTErrorPattern,
+        updateSTTErrorPattern,
+        removeSTTErrorPattern,
+        exportSTTErrorPatternStore,
+        importSTTErrorPatternStore,
+        resetSTTErrorPatternStore,
+        loadSTTErrorPatternStore,
+        
         // 상수
-        KOREAN_STT_ERROR_PATTERNS
+        KOREAN_STT_ERROR_PATTERNS,
+        KOREAN_STT_ERROR_PATTERN_GROUPS,
+        STT_ERROR_PATTERN_CATEGORIES,
+        PHONETIC_CONFUSION_MAP,
+        PHONETIC_ALIGNMENT_COSTS,
+        KEYWORD_SPOTTING_THRESHOLD,
+        STT_ERROR_PATTERN_STORAGE_KEY
     };
 } else {
     // Browser environment - expose as global object
@@ -415,6 +1289,15 @@ if (typeof module !== 'undefined' && module.exports) {
         jaroWinklerSimilarity,
         levenshteinSimilarity,
         koreanPhoneticSimilarity,
+        alignKoreanPhonetic,
+        toPronouncedForm,
+        pronunciationSimilarity,
+        ngramDiceSimilarity,
+        tokenSetRatio,
+        longestCommonSubstringRatio,
+        spotKeyword,
+        calculateCER,
+        calculateWER,
         calculateSTTSimilarity,
         analyzeSTTSimilarity,
         
@@ -426,7 +1309,28 @@ if (typeof module !== 'undefined' && module.exports) {
         calculatePhonetic,
         calculateEnsemble,
         
+        // 오류 패턴 저장소
+        getDefaultSTTErrorPatternStore,
+        validateSTTErrorPatternStore,
+        setSTTErrorPatternStore,
+        getSTTErrorPatternStore,
+        getSTTErrorPatterns,
+        addLearnedSTTErrorPatterns,
+        addSTTErrorPattern,
+        updateSTTErrorPattern,
+        removeSTTErrorPattern,
+        exportSTTErrorPatternStore,
+        importSTTErrorPatternStore,
+        resetSTTErrorPatternStore,
+        loadSTTErrorPatternStore,
+        
         // 상수
-        KOREAN_STT_ERROR_PATTERNS
+        KOREAN_STT_ERROR_PATTERNS,
+        KOREAN_STT_ERROR_PATTERN_GROUPS,
+        STT_ERROR_PATTERN_CATEGORIES,
+        PHONETIC_CONFUSION_MAP,
+        PHONETIC_ALIGNMENT_COSTS,
+        KEYWORD_SPOTTING_THRESHOLD,
+        STT_ERROR_PATTERN_STORAGE_KEY
     };
 }
\ No newline at end of file
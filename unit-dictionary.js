@@ -0,0 +1,240 @@
+/**
+ * 단위/표현 정규화 사전 (unit-dictionary.js)
+ *
+ * 전처리 Step 2-3(소수점, 단위, 가격, 날짜, 전화번호, 모델명 표기)에서 사용하는 치환 규칙 기본값입니다.
+ * preprocessing.js가 이 사전을 불러와 순서대로 적용하며, 화면에서 JSON으로 내보내고 가져올 수 있습니다.
+ *
+ * 형식 (JSON과 같은 구조):
+ * {
+ *   version: 사전 형식 버전,
+ *   categories: [{
+ *     id: 카테고리 ID,
+ *     label: 표시 이름 (전처리 추적의 규칙 이름으로도 사용),
+ *     step: 전처리 단계 번호 (2: 소수점, 3: 단위/표현),
+ *     rules: [{
+ *       pattern: 정규식 문자열, flags: 정규식 플래그, replacement: 치환 문자열 ($1 등 사용 가능),
+ *       description: 설명 (선택),
+ *       examples: [{ input, expected }]  // 규칙 하나만 적용했을 때의 기대 결과 (자체 점검에 사용)
+ *     }]
+ *   }]
+ * }
+ *
+ * 카테고리와 규칙은 적힌 순서대로 적용됩니다. 한글 단위 표기는 이미 표준형이므로 영문/기호 표기만 변환합니다.
+ */
+
+const DEFAULT_UNIT_DICTIONARY = {
+    version: 1,
+    categories: [
+        {
+            id: "decimal",
+            label: "소수점 표현 정규화",
+            step: 2,
+            rules: [
+                { pattern: "(\\d+)\\s*(점|쩜|dot|point)\\s*(\\d+)", flags: "gi", replacement: "$1.$3",
+                    examples: [{ input: "8점9", expected: "8.9" }, { input: "3 point 5", expected: "3.5" }] },
+                { pattern: "\\b(점|쩜|dot|point)\\b", flags: "gi", replacement: ".",
+                    examples: [{ input: "dot com", expected: ". com" }] }
+            ]
+        },
+        {
+            id: "length",
+            label: "단위 정규화 (길이)",
+            step: 3,
+            rules: [
+                { pattern: "\\bmeter\\b", flags: "gi", replacement: "미터",
+                    examples: [{ input: "5 meter", expected: "5 미터" }] },
+                { pattern: "\\binch\\b", flags: "gi", replacement: "인치",
+                    examples: [{ input: "65 inch", expected: "65 인치" }] },
+                { pattern: "(\\d+)\\s*mm\\b", flags: "gi", replacement: "$1미리",
+                    examples: [{ input: "8.9mm", expected: "8.9미리" }] },
+                { pattern: "(\\d+)\\s*cm\\b", flags: "gi", replacement: "$1센치",
+                    examples: [{ input: "30 cm", expected: "30센치" }] },
+                { pattern: "(\\d+)\\s*m\\b", flags: "gi", replacement: "$1미터",
+                    examples: [{ input: "100m", expected: "100미터" }] },
+                { pattern: "(\\d+)\\s*km\\b", flags: "gi", replacement: "$1킬로미터",
+                    examples: [{ input: "5km", expected: "5킬로미터" }] }
+            ]
+        },
+        {
+            id: "weight",
+            label: "단위 정규화 (무게)",
+            step: 3,
+            rules: [
+                { pattern: "\\bgram\\b", flags: "gi", replacement: "그램",
+                    examples: [{ input: "200 gram", expected: "200 그램" }] },
+                { pattern: "(\\d+)\\s*g\\b", flags: "gi", replacement: "$1그램",
+                    examples: [{ input: "500g", expected: "500그램" }] },
+                { pattern: "(\\d+)\\s*kg\\b", flags: "gi", replacement: "$1킬로그램",
+                    examples: [{ input: "3 kg", expected: "3킬로그램" }] },
+                { pattern: "(\\d+)\\s*mg\\b", flags: "gi", replacement: "$1밀리그램",
+                    examples: [{ input: "10mg", expected: "10밀리그램" }] }
+            ]
+        },
+        {
+            id: "time",
+            label: "단위 정규화 (시간)",
+            step: 3,
+            rules: [
+                { pattern: "\\bsecond\\b", flags: "gi", replacement: "초",
+                    examples: [{ input: "1 second", expected: "1 초" }] },
+                { pattern: "\\bminute\\b", flags: "gi", replacement: "분",
+                    examples: [{ input: "1 minute", expected: "1 분" }] },
+                { pattern: "\\bhour\\b", flags: "gi", replacement: "시간",
+                    examples: [{ input: "1 hour", expected: "1 시간" }] },
+                { pattern: "(\\d+)\\s*sec\\b", flags: "gi", replacement: "$1초",
+                    examples: [{ input: "30sec", expected: "30초" }] },
+                { pattern: "(\\d+)\\s*min\\b", flags: "gi", replacement: "$1분",
+                    examples: [{ input: "15 min", expected: "15분" }] },
+                { pattern: "(\\d+)\\s*hr\\b", flags: "gi", replacement: "$1시간",
+                    examples: [{ input: "2hr", expected: "2시간" }] }
+            ]
+        },
+        {
+            id: "volume",
+            label: "단위 정규화 (부피)",
+            step: 3,
+            rules: [
+                { pattern: "\\bliter\\b", flags: "gi", replacement: "리터",
+                    examples: [{ input: "2 liter", expected: "2 리터" }] },
+                { pattern: "(\\d+)\\s*ml\\b", flags: "gi", replacement: "$1밀리리터",
+                    examples: [{ input: "500ml", expected: "500밀리리터" }] },
+                { pattern: "(\\d+)\\s*l\\b", flags: "gi", replacement: "$1리터",
+                    examples: [{ input: "1.5L", expected: "1.5리터" }] }
+            ]
+        },
+        {
+            id: "percent",
+            label: "단위 정규화 (퍼센트)",
+            step: 3,
+            rules: [
+                { pattern: "\\bpercent\\b", flags: "gi", replacement: "퍼센트",
+                    examples: [{ input: "30 percent", expected: "30 퍼센트" }] },
+                { pattern: "%", flags: "g", replacement: "퍼센트",
+                    examples: [{ input: "30%", expected: "30퍼센트" }] }
+            ]
+        },
+        {
+            id: "digital",
+            label: "단위 정규화 (디지털 용량)",
+            step: 3,
+            rules: [
+                { pattern: "(\\d+)\\s*gb\\b", flags: "gi", replacement: "$1기가",
+                    examples: [{ input: "256GB", expected: "256기가" }] },
+                { pattern: "(\\d+)\\s*mb\\b", flags: "gi", replacement: "$1메가",
+                    examples: [{ input: "500 MB", expected: "500메가" }] },
+                { pattern: "(\\d+)\\s*kb\\b", flags: "gi", replacement: "$1킬로",
+                    examples: [{ input: "64kb", expected: "64킬로" }] },
+                { pattern: "(\\d+)\\s*tb\\b", flags: "gi", replacement: "$1테라",
+                    examples: [{ input: "1TB", expected: "1테라" }] }
+            ]
+        },
+        {
+            id: "screen",
+            label: "단위 정규화 (화면 크기)",
+            step: 3,
+            rules: [
+                { pattern: "(\\d+(?:\\.\\d+)?)\\s*(?:\"|″|”|'')", flags: "g", replacement: "$1인치",
+                    description: "따옴표 인치 표기 (8\", 6.1″)",
+                    examples: [{ input: "8\" 태블릿", expected: "8인치 태블릿" }, { input: "6.1″", expected: "6.1인치" }] }
+            ]
+        },
+        {
+            id: "battery",
+            label: "단위 정규화 (배터리)",
+            step: 3,
+            rules: [
+                { pattern: "(\\d+)\\s*mah\\b", flags: "gi", replacement: "$1밀리암페어",
+                    examples: [{ input: "5000mAh", expected: "5000밀리암페어" }] }
+            ]
+        },
+        {
+            id: "frequency",
+            label: "단위 정규화 (주파수)",
+            step: 3,
+            rules: [
+                { pattern: "(\\d+)\\s*ghz\\b", flags: "gi", replacement: "$1기가헤르츠",
+                    examples: [{ input: "2.4GHz", expected: "2.4기가헤르츠" }] },
+                { pattern: "(\\d+)\\s*mhz\\b", flags: "gi", replacement: "$1메가헤르츠",
+                    examples: [{ input: "800 MHz", expected: "800메가헤르츠" }] },
+                { pattern: "(\\d+)\\s*khz\\b", flags: "gi", replacement: "$1킬로헤르츠",
+                    examples: [{ input: "48kHz", expected: "48킬로헤르츠" }] },
+                { pattern: "(\\d+)\\s*hz\\b", flags: "gi", replacement: "$1헤르츠",
+                    examples: [{ input: "120Hz", expected: "120헤르츠" }] }
+            ]
+        },
+        {
+            id: "power",
+            label: "단위 정규화 (전력)",
+            step: 3,
+            rules: [
+                { pattern: "(\\d+)\\s*kw\\b", flags: "gi", replacement: "$1킬로와트",
+                    examples: [{ input: "2kW", expected: "2킬로와트" }] },
+                { pattern: "(\\d+)\\s*w\\b", flags: "gi", replacement: "$1와트",
+                    examples: [{ input: "45W 충전", expected: "45와트 충전" }] }
+            ]
+        },
+        {
+            id: "price",
+            label: "가격 표기 정규화",
+            step: 3,
+            rules: [
+                { pattern: "(?<=\\d),(?=\\d{3}(?!\\d))", flags: "g", replacement: "",
+                    description: "천 단위 쉼표 제거",
+                    examples: [{ input: "1,290,000원", expected: "1290000원" }] },
+                { pattern: "[₩￦]\\s*(\\d+)", flags: "g", replacement: "$1원",
+                    examples: [{ input: "₩5000", expected: "5000원" }] },
+                { pattern: "(\\d+)\\s*(?:won|krw)\\b", flags: "gi", replacement: "$1원",
+                    examples: [{ input: "5000 won", expected: "5000원" }] },
+                { pattern: "(\\d+)\\s*(만)?\\s*원", flags: "g", replacement: "$1$2원",
+                    description: "숫자와 (만)원 사이 띄어쓰기 통일",
+                    examples: [{ input: "4400 원", expected: "4400원" }, { input: "5 만 원", expected: "5만원" }, { input: "3만 원", expected: "3만원" }] }
+            ]
+        },
+        {
+            id: "date",
+            label: "날짜 표기 정규화",
+            step: 3,
+            rules: [
+                { pattern: "(\\d{4})\\s*[.\\-/]\\s*0?(\\d{1,2})\\s*[.\\-/]\\s*0?(\\d{1,2})(?!\\d)", flags: "g", replacement: "$1년 $2월 $3일",
+                    examples: [{ input: "2025-09-15", expected: "2025년 9월 15일" }, { input: "2025.9.1", expected: "2025년 9월 1일" }] },
+                { pattern: "(\\d{4})\\s*년\\s*0?(\\d{1,2})\\s*월", flags: "g", replacement: "$1년 $2월",
+                    examples: [{ input: "2025년9월", expected: "2025년 9월" }, { input: "2025년 09월", expected: "2025년 9월" }] },
+                { pattern: "(\\d{1,2})\\s*월\\s*0?(\\d{1,2})\\s*일", flags: "g", replacement: "$1월 $2일",
+                    examples: [{ input: "9월15일", expected: "9월 15일" }] }
+            ]
+        },
+        {
+            id: "phone",
+            label: "전화번호 정규화",
+            step: 3,
+            rules: [
+                { pattern: "\\b(0\\d{1,2})[\\s.\\-]?(\\d{3,4})[\\s.\\-]?(\\d{4})\\b", flags: "g", replacement: "$1-$2-$3",
+                    examples: [{ input: "010 1234 5678", expected: "010-1234-5678" }, { input: "01012345678", expected: "010-1234-5678" },
+                        { input: "02.123.4567", expected: "02-123-4567" }] }
+            ]
+        },
+        {
+            id: "model",
+            label: "모델명 정규화",
+            step: 3,
+            rules: [
+                { pattern: "\\b([A-Z]{1,2})[\\s\\-]+(\\d{1,3})(?![\\d.가-힣])", flags: "g", replacement: "$1$2",
+                    description: "영문 대문자 + 숫자 모델명 붙여 쓰기 (S 25 → S25, 뒤에 한글 단위가 붙은 수량은 제외)",
+                    examples: [{ input: "갤럭시 S 25", expected: "갤럭시 S25" }, { input: "Z-5", expected: "Z5" },
+                        { input: "s 25", expected: "s 25" }, { input: "TV 2대", expected: "TV 2대" }] }
+            ]
+        }
+    ]
+};
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_UNIT_DICTIONARY
+    };
+} else {
+    // Browser environment - expose as global object
+    window.UnitDictionary = {
+        DEFAULT_UNIT_DICTIONARY
+    };
+}